@@ -1,39 +1,116 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const { findGltfFiles, optimizeModel, log, colors, COMPRESS_DRACO, RESIZE_TEXTURES, MAX_TEXTURE_SIZE } = require('./lib/optimize');
+const { findGltfFiles, loadConfig, formatSize, formatBytes, log, getTargetPath } = require('./lib/optimize');
+const { createLogger, setLogger } = require('./lib/logger');
+const { optimizeBatch, summarizeResults } = require('./lib/batch');
+const { buildReport, writeReport, resolveReportFormat, REPORT_EXTENSIONS } = require('./lib/report');
+const { CACHE_FILE_NAME, loadCache, getCachedResult } = require('./lib/cache');
+const { watchModels } = require('./lib/watch');
+const { createOptionsResolver } = require('./lib/presets');
+const { resolvePipeline } = require('./lib/pipeline');
+const { parseArgs, CLI_FLAGS, OPTION_FLAGS, formatFlagHelp } = require('./lib/args');
+
+// Exit codes: 0 success, 1 a model failed (or a check did), 2 invalid usage
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
 
 // Parse command line arguments
-const args = process.argv.slice(2);
-const nonInteractive = args.includes('--yes') || args.includes('-y');
-const modelsDirArg = args.find(arg => arg.startsWith('--models-dir='))?.split('=')[1];
-const outputDirArg = args.find(arg => arg.startsWith('--output-dir='))?.split('=')[1];
+let parsedArgs;
+try {
+  parsedArgs = parseArgs(process.argv.slice(2));
+} catch (error) {
+  log(`❌ ${error.message}`, 'red');
+  log('💡 Run gltf-optimizer --help for the list of options', 'yellow');
+  process.exit(EXIT_USAGE);
+}
+const { command, positionals: positionalArgs, flags, options: optionArgs } = parsedArgs;
+const nonInteractive = Boolean(flags.yes);
+const modelsDirArg = flags.modelsDir;
+const outputDirArg = flags.outputDir;
+const configArg = flags.config;
+const reportArg = flags.report;
+const presetArg = flags.preset;
+const force = Boolean(flags.force);
+const dryRun = Boolean(flags.dryRun);
+const checkBefore = Boolean(flags.before);
+const checkAfter = Boolean(flags.after);
+const jsonOutput = Boolean(flags.json);
+const logLevelArg = flags.logLevel || (flags.quiet && 'error') || (flags.verbose && 'debug') || null;
+const logFormatArg = flags.logFormat || null;
+
+// With --json, stdout only carries the JSON document and logs go to stderr
+function configureLogger(level, format) {
+  setLogger(createLogger({ level, format, stream: jsonOutput ? process.stderr : process.stdout }));
+}
 
-const MODELS_DIR = modelsDirArg ? path.resolve(modelsDirArg) : path.join(process.cwd(), 'models');
-const OUTPUT_DIR = outputDirArg ? path.resolve(outputDirArg) : null;
+configureLogger(logLevelArg || 'info', logFormatArg || 'pretty');
 
 function showHelp() {
   log('\n📖 Usage:', 'bright');
-  log('  gltf-optimizer [options]', 'yellow');
+  log('  gltf-optimizer [optimize] [files or directories...] [options]', 'yellow');
+  log('  gltf-optimizer validate [files or directories...] [options]', 'yellow');
+  log('  gltf-optimizer watch [options]', 'yellow');
+  log('  gltf-optimizer serve [--port <port>] [--host <address>] [options]', 'yellow');
+  log('  gltf-optimizer check [files or directories...] [--before] [--after] [options]', 'yellow');
+  log('  gltf-optimizer inspect <files...> [--json]', 'yellow');
+  log('  gltf-optimizer restore [models, backups or directories...]', 'yellow');
+  log('  gltf-optimizer clean-backups [models, backups or directories...] [--yes]', 'yellow');
   log('\n🚀 Options:', 'bright');
-  log('  --yes, -y                Non-interactive mode (automation)', 'blue');
-  log('  --models-dir=<path>      Directory containing the models', 'blue');
-  log('  --output-dir=<path>      Output directory (optional)', 'blue');
-  log('  --help, -h              Show this help', 'blue');
+  formatFlagHelp(CLI_FLAGS).forEach(line => log(line, 'blue'));
+  log('\n🎛️  Optimization options (override the config for every model):', 'bright');
+  formatFlagHelp(OPTION_FLAGS).forEach(line => log(line, 'blue'));
+  log('\n🚦 Exit codes: 0 success, 1 a model failed or a check did not pass, 2 invalid usage', 'bright');
   log('\n💡 Examples:', 'bright');
   log('  gltf-optimizer --yes', 'yellow');
-  log('  gltf-optimizer --models-dir=./assets --yes', 'yellow');
+  log('  gltf-optimizer optimize ./models/hero.glb --yes', 'yellow');
+  log('  gltf-optimizer --models-dir ./assets --yes', 'yellow');
   log('  gltf-optimizer --yes --output-dir=./optimized', 'yellow');
+  log('  gltf-optimizer --yes --config=./ci.gltf-optimizer.json', 'yellow');
+  log('  gltf-optimizer --yes --report=optimization-report.md', 'yellow');
+  log('  gltf-optimizer --yes --no-draco --max-texture-size 2048 --texture-format=ktx2-etc1s', 'yellow');
+  log('  gltf-optimizer --yes --lod=0.5,0.25 --verify', 'yellow');
+  log('  gltf-optimizer --yes --preset=mobile', 'yellow');
+  log('  gltf-optimizer --yes --output-format=glb --output-dir=./cdn', 'yellow');
+  log('  gltf-optimizer --dry-run --json', 'yellow');
+  log('  gltf-optimizer --yes --quiet --json > results.json', 'yellow');
+  log('  gltf-optimizer validate ./models/hero.glb', 'yellow');
+  log('  gltf-optimizer watch --output-dir=./optimized', 'yellow');
+  log('  gltf-optimizer serve --port 8080', 'yellow');
+  log('  gltf-optimizer check --after', 'yellow');
+  log('  gltf-optimizer inspect ./models/hero.glb', 'yellow');
+  log('  gltf-optimizer restore ./models/hero.glb', 'yellow');
+  log('  gltf-optimizer clean-backups --yes', 'yellow');
   log('\n✨ Starting in interactive mode if no options...', 'green');
 }
 
 // Check if user requests help
-if (args.includes('--help') || args.includes('-h')) {
+if (flags.help) {
   showHelp();
   process.exit(0);
 }
 
+// Prompts need a terminal: without one, fail fast instead of waiting for input
+function ensureInteractive() {
+  if (!process.stdin.isTTY) {
+    log('❌ No terminal to prompt on: pass --yes to run without confirmation', 'red');
+    process.exit(EXIT_USAGE);
+  }
+}
+
+function askQuestion(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
 async function selectModels(gltfFiles) {
   const rl = readline.createInterface({
     input: process.stdin,
@@ -112,24 +189,85 @@ async function showMenu(gltfFiles) {
   });
 }
 
+// Loads the configuration and resolves directories, CLI flags taking precedence
+function loadSettings() {
+  if (configArg && !fs.existsSync(configArg)) {
+    log(`❌ Configuration file not found: ${configArg}`, 'red');
+    process.exit(EXIT_USAGE);
+  }
+  const config = loadConfig(configArg ? path.resolve(configArg) : null);
+
+  // --quiet, --verbose, --log-level and --log-format win over the configured logLevel and logFormat
+  if ((!logLevelArg && config.logLevel) || (!logFormatArg && config.logFormat)) {
+    try {
+      configureLogger(logLevelArg || config.logLevel || 'info', logFormatArg || config.logFormat || 'pretty');
+    } catch (error) {
+      log(`❌ Invalid configuration: ${error.message}`, 'red');
+      process.exit(EXIT_USAGE);
+    }
+  }
+
+  // Explicit CLI flags take precedence over the configuration file
+  const modelsDir = path.resolve(modelsDirArg || config.modelsDir || 'models');
+  const outputDir = outputDirArg || config.outputDir ? path.resolve(outputDirArg || config.outputDir) : null;
+
+  // Never pick up our own outputs when outputDir lives inside modelsDir
+  const excludePatterns = [...(config.excludePatterns || [])];
+  const outputRelative = outputDir ? path.relative(modelsDir, outputDir) : '..';
+  if (outputRelative && !outputRelative.startsWith('..') && !path.isAbsolute(outputRelative)) {
+    excludePatterns.push(`${outputRelative.split(path.sep).join('/')}/**`);
+  }
+
+  return {
+    config,
+    modelsDir,
+    outputDir,
+    findOptions: { includePatterns: config.includePatterns, excludePatterns }
+  };
+}
+
+// `gltf-optimizer [optimize]`: optimizes the models named on the command line,
+// or the models of modelsDir picked from a menu (all of them with --yes).
+// Resolves with the exit code.
 async function main() {
+  // Settings first: the configured logFormat applies from the banner on
+  const { config, modelsDir, outputDir, findOptions } = loadSettings();
+
   log('🚀 Starting 3D model optimization', 'bright');
   log('='.repeat(60), 'blue');
 
-  const gltfFiles = findGltfFiles(MODELS_DIR);
+  if (positionalArgs.length === 0 && !fs.existsSync(modelsDir)) {
+    log(`❌ Models directory not found: ${modelsDir}`, 'red');
+    return EXIT_FAILURE;
+  }
+
+  const options = getModelOptions(config, modelsDir, outputDir);
+  const gltfFiles = collectTargetFiles(modelsDir, findOptions);
 
+  if (!gltfFiles) {
+    return EXIT_FAILURE;
+  }
   if (gltfFiles.length === 0) {
-    log('⚠️  No GLTF/GLB files found in ' + MODELS_DIR + '!', 'yellow');
-    process.exit(0);
+    log(`⚠️  No GLTF/GLB files found in ${positionalArgs.length > 0 ? positionalArgs.join(', ') : modelsDir}!`, 'yellow');
+    return 0;
   }
 
   log(`\n📊 ${gltfFiles.length} file(s) found\n`, 'blue');
 
-  const selectedFiles = await showMenu(gltfFiles);
+  if (dryRun) {
+    printDryRun(gltfFiles, options, config, modelsDir, outputDir);
+    return 0;
+  }
+
+  // Models named on the command line are all optimized, without a menu
+  if (!nonInteractive) {
+    ensureInteractive();
+  }
+  const selectedFiles = positionalArgs.length > 0 ? gltfFiles : await showMenu(gltfFiles);
 
   if (selectedFiles === null || selectedFiles.length === 0) {
     log('\n❌ Optimization cancelled or no models selected', 'red');
-    process.exit(0);
+    return 0;
   }
 
   log(`\n✅ ${selectedFiles.length} model(s) selected for optimization\n`, 'green');
@@ -138,127 +276,662 @@ async function main() {
     log(`[${index + 1}/${selectedFiles.length}] ${path.relative(process.cwd(), file)}`, 'bright');
   });
 
-  let totalOriginalSize = 0;
-  let totalOptimizedSize = 0;
-  let successCount = 0;
-  let errorCount = 0;
-
   // Mode non-interactif : pas de confirmation
   if (nonInteractive) {
     log('\n🚀 Starting automatic optimization...', 'green');
+  } else {
+    const answer = await askQuestion('\n⚠️  Continue with optimization? (y/n): ');
+    if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
+      log('\n❌ Optimization cancelled', 'red');
+      return 0;
+    }
+  }
 
-    selectedFiles.forEach((file, index) => {
-      const { getGltfModelSize } = require('./lib/optimize');
+  const results = await optimizeFiles(selectedFiles, options, config, modelsDir, outputDir);
+  printGlobalReport(results);
+  saveReport(results, config);
+  if (jsonOutput) {
+    console.log(JSON.stringify(buildReport(results), null, 2));
+  }
+  return summarizeResults(results).failed > 0 ? EXIT_FAILURE : 0;
+}
 
-      try {
-        const originalSize = getGltfModelSize(file);
+// --dry-run: the models that would be optimized, where they would be written,
+// whether the cache would skip them and the options each one would get
+function printDryRun(files, options, config, modelsDir, outputDir) {
+  const cacheFile = getCacheFile(config, modelsDir, outputDir);
+  const cache = cacheFile && !force ? loadCache(cacheFile) : null;
+
+  const plan = files.map(file => {
+    const fileOptions = options(file);
+    const modelOptions = { ...fileOptions };
+    delete modelOptions.outputDir;
+    delete modelOptions.baseDir;
+    return {
+      inputPath: file,
+      outputPath: getTargetPath(file, fileOptions),
+      cached: Boolean(cache && getCachedResult(cache, file, fileOptions)),
+      options: modelOptions
+    };
+  });
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ dryRun: true, models: plan }, null, 2));
+    return;
+  }
 
-        optimizeModel(file, {
-          compressDraco: COMPRESS_DRACO,
-          resizeTextures: RESIZE_TEXTURES,
-          maxTextureSize: MAX_TEXTURE_SIZE,
-          backupOriginal: true
-        });
+  log('🧪 Dry run: nothing is written', 'bright');
+  plan.forEach((entry, index) => {
+    log(`\n[${index + 1}/${plan.length}] ${path.relative(process.cwd(), entry.inputPath)} → ${path.relative(process.cwd(), entry.outputPath)}`, 'bright');
+    if (entry.cached) {
+      log('   ♻️  Unchanged since last run, would be skipped (--force to re-optimize)', 'blue');
+    }
+    log(`   ${JSON.stringify(entry.options)}`, 'blue');
+  });
+}
 
-        // Calculer la taille après optimisation (le fichier a été remplacé)
-        const optimizedSize = getGltfModelSize(file);
+// Returns the options passed to optimizeModel for each file: config options,
+// then the preset and matching overrides, then explicit CLI flags
+function getModelOptions(config, modelsDir, outputDir) {
+  let resolveOptions;
+  try {
+    resolveOptions = createOptionsResolver(config, { baseDir: modelsDir, preset: presetArg || config.preset });
+    // --pipeline modules are resolved from the current directory, the config's from its own
+    if (optionArgs.pipeline) {
+      resolvePipeline(optionArgs.pipeline);
+    } else {
+      resolvePipeline(config.pipeline, { cwd: config.configDir });
+    }
+  } catch (error) {
+    log(`❌ Invalid configuration: ${error.message}`, 'red');
+    process.exit(EXIT_USAGE);
+  }
 
-        totalOriginalSize += parseFloat(originalSize) || 0;
-        totalOptimizedSize += parseFloat(optimizedSize) || 0;
-        successCount++;
+  if (presetArg || config.preset) {
+    log(`🎛️  Preset: ${presetArg || config.preset}`, 'blue');
+  }
 
-      } catch (error) {
-        log(`❌ Optimization failed: ${path.basename(file)} - ${error.message}`, 'red');
-        errorCount++;
+  return file => {
+    const resolved = resolveOptions(file);
+    const options = { ...resolved, ...optionArgs, outputDir, baseDir: modelsDir };
+    if (optionArgs.textureFormat && resolved.textureFormat && typeof resolved.textureFormat === 'object') {
+      // Only the default format changes, per-slot formats from the config still apply
+      options.textureFormat = { ...resolved.textureFormat, default: optionArgs.textureFormat };
+    }
+    if (optionArgs.pipeline) {
+      options.pipelineDir = process.cwd();
+    }
+    if (optionArgs.resourceNames) {
+      options.resourceNames = { ...resolved.resourceNames, ...optionArgs.resourceNames };
+    }
+    if (optionArgs.verify === true && resolved.verify) {
+      options.verify = resolved.verify; // Keep the configured tolerances
+    }
+    // --draco / --no-draco switch the configured method unless --geometry-compression is given
+    if (optionArgs.compressDraco !== undefined && optionArgs.geometryCompression === undefined) {
+      if (!optionArgs.compressDraco && (!resolved.geometryCompression || resolved.geometryCompression === 'draco')) {
+        options.geometryCompression = 'none';
+      } else if (optionArgs.compressDraco && resolved.geometryCompression === 'none') {
+        options.geometryCompression = 'draco';
       }
+    }
+    return options;
+  };
+}
+
+// The cache manifest lives next to the outputs (or the sources when optimizing in place)
+function getCacheFile(config, modelsDir, outputDir) {
+  return config.cache !== false ? path.join(outputDir || modelsDir, CACHE_FILE_NAME) : null;
+}
+
+function reportFailure(result) {
+  if (result.status !== 'success' && result.status !== 'cached') {
+    log(`❌ Optimization failed: ${path.basename(result.inputPath)} - ${result.error}`, 'red');
+  }
+}
+
+async function optimizeFiles(selectedFiles, options, config, modelsDir, outputDir) {
+  const cacheFile = getCacheFile(config, modelsDir, outputDir);
+  const concurrency = config.parallelProcessing ? Math.max(1, parseInt(config.maxConcurrency, 10) || 1) : 1;
+  if (concurrency > 1) {
+    log(`\n⚡ Parallel processing: up to ${concurrency} models at a time`, 'blue');
+  }
+
+  return optimizeBatch(selectedFiles, options, {
+    concurrency,
+    cacheFile,
+    force,
+    onResult: reportFailure
+  });
+}
+
+// Writes the report file requested with --report or generateReport in the config
+function saveReport(results, config) {
+  if (!reportArg && !config.generateReport) {
+    return;
+  }
+
+  try {
+    const format = resolveReportFormat(reportArg, config.reportFormat);
+    const reportPath = path.resolve(reportArg || `gltf-optimizer-report${REPORT_EXTENSIONS[format]}`);
+
+    writeReport(results, reportPath, format);
+    log(`\n📝 Report written: ${path.relative(process.cwd(), reportPath)} (${format})`, 'blue');
+  } catch (error) {
+    log(`\n⚠️  Could not write report: ${error.message}`, 'yellow');
+  }
+}
+
+function printGlobalReport(results) {
+  const summary = summarizeResults(results);
+
+  // Résumé statistique global
+  log('\n' + '='.repeat(60), 'green');
+  log('📊 GLOBAL OPTIMIZATION REPORT', 'bright');
+  log('='.repeat(60), 'green');
+
+  log(`\n📈 Statistics:`, 'blue');
+  log(`   ✅ Successfully optimized models: ${summary.succeeded}`, 'green');
+  if (summary.cached > 0) {
+    log(`   ♻️  Unchanged models (cached): ${summary.cached}`, 'blue');
+  }
+  log(`   ❌ Optimization failures: ${summary.failed}`, summary.failed > 0 ? 'red' : 'green');
+  const unverified = results.filter(result => result.verification && !result.verification.passed);
+  if (unverified.length > 0) {
+    log(`   🔬 Failed verification: ${unverified.map(result => path.basename(result.inputPath)).join(', ')}`, 'yellow');
+  }
+  log(`   📦 Total original size: ${formatSize(summary.originalBytes)} MB`, 'yellow');
+  log(`   📦 Total optimized size: ${formatSize(summary.optimizedBytes)} MB`, 'green');
+
+  if (summary.succeeded > 0 && summary.originalBytes > 0) {
+    log(`   💾 Total reduction: ${summary.reduction.toFixed(1)}% (${formatSize(summary.savedBytes)} MB saved)`, 'green');
+  }
+
+  log('\n🎉 All models optimization completed!', 'green');
+  log('='.repeat(60), 'green');
+}
+
+// Severity display for `validate` output
+const SEVERITY_STYLES = {
+  error: ['❌', 'red'],
+  warning: ['⚠️ ', 'yellow'],
+  info: ['ℹ️ ', 'blue']
+};
+
+// Models named on the command line (files or folders), or every model in
+// modelsDir. Returns null when a target does not exist.
+function collectTargetFiles(modelsDir, findOptions) {
+  const targets = positionalArgs.length > 0 ? positionalArgs.map(arg => path.resolve(arg)) : [modelsDir];
+
+  const files = [];
+  for (const target of targets) {
+    if (!fs.existsSync(target)) {
+      log(`❌ Not found: ${target}`, 'red');
+      return null;
+    }
+    if (fs.statSync(target).isDirectory()) {
+      files.push(...findGltfFiles(target, findOptions));
+    } else {
+      files.push(target);
+    }
+  }
+  // A model named twice, or inside a folder also named, is optimized once
+  return [...new Set(files)];
+}
+
+// `gltf-optimizer validate`: prints every issue and exits non-zero on errors
+function validateCommand() {
+  const { validateGltfFile } = require('./lib/validate');
+  const { modelsDir, findOptions } = loadSettings();
+  const files = collectTargetFiles(modelsDir, findOptions);
+
+  if (!files) {
+    return EXIT_FAILURE;
+  }
+  if (files.length === 0) {
+    log('⚠️  No GLTF/GLB files to validate', 'yellow');
+    return 0;
+  }
+
+  let errorCount = 0;
+  let warningCount = 0;
+  const validations = [];
+
+  files.forEach(file => {
+    const validation = validateGltfFile(file);
+    validations.push({ filePath: file, ...validation });
+    errorCount += validation.errors;
+    warningCount += validation.warnings;
+
+    log(`\n${validation.valid ? '✅' : '❌'} ${path.relative(process.cwd(), file)}`, validation.valid ? 'green' : 'red');
+    validation.issues.forEach(issue => {
+      const [icon, color] = SEVERITY_STYLES[issue.severity];
+      log(`   ${icon} ${issue.severity.padEnd(7)} ${(issue.pointer || '/').padEnd(36)} ${issue.message}`, color);
     });
+  });
+
+  log(`\n📊 ${files.length} file(s) checked: ${errorCount} error(s), ${warningCount} warning(s)`, errorCount > 0 ? 'red' : 'green');
+  if (jsonOutput) {
+    console.log(JSON.stringify(validations, null, 2));
+  }
+  return errorCount > 0 ? EXIT_FAILURE : 0;
+}
+
+// Prints the budget check of one model; returns true when it passes
+function printBudgetCheck(check, label) {
+  const { formatBudgetValue } = require('./lib/budgets');
+  const name = `${path.relative(process.cwd(), check.filePath)}${label ? ` (${label})` : ''}`;
 
-    // Résumé statistique global
-    log('\n' + '='.repeat(60), 'green');
-    log('📊 GLOBAL OPTIMIZATION REPORT', 'bright');
-    log('='.repeat(60), 'green');
-
-    log(`\n📈 Statistics:`, 'blue');
-    log(`   ✅ Successfully optimized models: ${successCount}`, 'green');
-    log(`   ❌ Optimization failures: ${errorCount}`, errorCount > 0 ? 'red' : 'green');
-    log(`   📦 Total original size: ${totalOriginalSize.toFixed(2)} MB`, 'yellow');
-    log(`   📦 Total optimized size: ${totalOptimizedSize.toFixed(2)} MB`, 'green');
-
-    if (successCount > 0) {
-      const totalReduction = ((1 - totalOptimizedSize / totalOriginalSize) * 100).toFixed(1);
-      const totalSavings = (totalOriginalSize - totalOptimizedSize).toFixed(2);
-      log(`   💾 Total reduction: ${totalReduction}% (${totalSavings} MB saved)`, 'green');
+  if (check.error) {
+    log(`\n❌ ${name}`, 'red');
+    log(`   ❌ ${check.error}`, 'red');
+    return false;
+  }
+  if (!check.budget) {
+    log(`\n➖ ${name}: no budget applies`, 'blue');
+    return true;
+  }
+  if (check.withinBudget) {
+    log(`\n✅ ${name}: within budget`, 'green');
+    return true;
+  }
+
+  log(`\n❌ ${name}: ${check.violations.length} budget violation(s)`, 'red');
+  check.violations.forEach(violation => {
+    log(`   ❌ ${violation.label.padEnd(22)} ${formatBudgetValue(violation.limit, violation.actual)} > ` +
+      `${formatBudgetValue(violation.limit, violation.max)} (${violation.match})`, 'red');
+  });
+  return false;
+}
+
+// `gltf-optimizer check`: tests the configured budgets on the sources (--before,
+// the default) and/or on the optimized models (--after) and exits non-zero on
+// any violation, invalid model or failed optimization
+async function checkCommand() {
+  const { createBudgetResolver, checkModelBudget } = require('./lib/budgets');
+  const { config, modelsDir, outputDir, findOptions } = loadSettings();
+
+  if (!config.budgets || config.budgets.length === 0) {
+    log('⚠️  No budgets configured, nothing to check', 'yellow');
+    return 0;
+  }
+
+  let resolveBudget;
+  try {
+    resolveBudget = createBudgetResolver(config.budgets, { baseDir: modelsDir });
+  } catch (error) {
+    log(`❌ Invalid configuration: ${error.message}`, 'red');
+    return EXIT_FAILURE;
+  }
+
+  const files = collectTargetFiles(modelsDir, findOptions);
+  if (!files) {
+    return EXIT_FAILURE;
+  }
+  if (files.length === 0) {
+    log('⚠️  No GLTF/GLB files to check', 'yellow');
+    return 0;
+  }
+
+  const stages = { before: checkBefore || !checkAfter, after: checkAfter };
+  const checks = [];
+  let checked = 0;
+  let failed = 0;
+
+  if (stages.before) {
+    log(`\n🔎 Checking ${files.length} model(s) before optimization`, 'bright');
+    for (const file of files) {
+      const check = await checkModelBudget(file, resolveBudget(file));
+      checks.push({ stage: 'before', ...check });
+      const passed = printBudgetCheck(check, stages.after ? 'before' : null);
+      checked++;
+      failed += passed ? 0 : 1;
     }
+  }
 
-    log('\n🎉 All models optimization completed!', 'green');
-    log('='.repeat(60), 'green');
-    return;
+  if (stages.after) {
+    log(`\n🚀 Optimizing ${files.length} model(s) before checking`, 'bright');
+    const results = await optimizeFiles(files, getModelOptions(config, modelsDir, outputDir), config, modelsDir, outputDir);
+
+    log(`\n🔎 Checking ${files.length} model(s) after optimization`, 'bright');
+    for (const result of results) {
+      checked++;
+      if (result.status !== 'success' && result.status !== 'cached') {
+        log(`\n❌ ${path.relative(process.cwd(), result.inputPath)}: optimization failed - ${result.error}`, 'red');
+        checks.push({ stage: 'after', filePath: result.inputPath, withinBudget: false, error: `Optimization failed: ${result.error}` });
+        failed++;
+        continue;
+      }
+      // Budgets are matched on the source path, the optimized model is measured
+      const check = await checkModelBudget(result.outputPath, resolveBudget(result.inputPath));
+      checks.push({ stage: 'after', ...check });
+      failed += printBudgetCheck(check, stages.before ? 'after' : null) ? 0 : 1;
+    }
   }
 
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
+  log(`\n📊 ${checked} check(s): ${failed} over budget or failed`, failed > 0 ? 'red' : 'green');
+  if (jsonOutput) {
+    console.log(JSON.stringify(checks, null, 2));
+  }
+  return failed > 0 ? EXIT_FAILURE : 0;
+}
+
+// Prints rows as aligned columns under a header line
+function printTable(headers, rows, color = 'reset') {
+  const table = [headers, ...rows].map(row => row.map(cell => String(cell)));
+  const widths = headers.map((header, column) => Math.max(...table.map(row => row[column].length)));
+  const format = row => '   ' + row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  log(format(table[0]), 'bright');
+  table.slice(1).forEach(row => log(format(row), color));
+}
+
+function formatShare(bytes, total) {
+  return total > 0 ? `${(bytes / total * 100).toFixed(1)}%` : '-';
+}
+
+function printInspection(inspection) {
+  const { counts, breakdown } = inspection;
+  const breakdownTotal = Object.values(breakdown).reduce((sum, bytes) => sum + bytes, 0);
+
+  log(`\n🔍 ${path.relative(process.cwd(), inspection.filePath)} (${inspection.format}, ${formatBytes(inspection.totalBytes)})`, 'bright');
+  if (inspection.generator) {
+    log(`   Generator: ${inspection.generator}`, 'blue');
+  }
+  log(`   ${counts.scenes} scene(s), ${counts.nodes} node(s), ${counts.meshes} mesh(es), ${counts.primitives} primitive(s), ` +
+    `${counts.materials} material(s), ${counts.textures} texture(s), ${counts.animations} animation(s), ${counts.skins} skin(s)`, 'blue');
+  log(`   🔺 ${counts.vertices.toLocaleString('en-US')} vertices, ${counts.triangles.toLocaleString('en-US')} triangles drawn, ` +
+    `${counts.drawCalls} draw call(s)`, 'blue');
+  log(`   🧩 Extensions: ${inspection.extensions.used.join(', ') || 'none'}` +
+    (inspection.extensions.required.length > 0 ? ` (required: ${inspection.extensions.required.join(', ')})` : ''), 'blue');
+
+  log('\n📦 Bytes by content:', 'bright');
+  printTable(['Content', 'Size', 'Share'], Object.entries(breakdown)
+    .filter(([, bytes]) => bytes > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([content, bytes]) => [content, formatBytes(bytes), formatShare(bytes, breakdownTotal)]));
+
+  log('\n📁 Files:', 'bright');
+  printTable(['File', 'Type', 'Size', 'Share'], inspection.files
+    .map(file => [path.relative(process.cwd(), file.path), file.type, formatBytes(file.bytes), formatShare(file.bytes, inspection.totalBytes)]));
+
+  if (inspection.meshes.length > 0) {
+    log('\n🔷 Meshes:', 'bright');
+    printTable(['Mesh', 'Prims', 'Vertices', 'Triangles', 'Instances', 'Decoded', 'Materials'], inspection.meshes
+      .map(mesh => [mesh.name, mesh.primitives, mesh.vertices, mesh.triangles, mesh.instances, formatBytes(mesh.bytes), mesh.materials.join(', ')]));
+  }
+
+  if (inspection.textures.length > 0) {
+    log('\n🖼️  Textures:', 'bright');
+    printTable(['Texture', 'Type', 'Size', 'Bytes', 'GPU', 'Slots'], inspection.textures
+      .map(texture => [texture.name, texture.mimeType, texture.width ? `${texture.width}x${texture.height}` : '?',
+        formatBytes(texture.bytes), formatBytes(texture.gpuBytes), texture.slots.join(', ')]));
+  }
+
+  if (inspection.materials.length > 0) {
+    log('\n🎨 Materials:', 'bright');
+    printTable(['Material', 'Alpha', 'Double-sided', 'Primitives', 'Textures'], inspection.materials
+      .map(material => [material.name, material.alphaMode, material.doubleSided ? 'yes' : 'no', material.primitives, material.textures.join(', ')]));
+  }
+
+  if (inspection.animations.length > 0) {
+    log('\n🎞️  Animations:', 'bright');
+    printTable(['Animation', 'Channels', 'Duration', 'Decoded', 'Targets'], inspection.animations
+      .map(animation => [animation.name, animation.channels, `${animation.duration.toFixed(2)}s`, formatBytes(animation.bytes), animation.targetPaths.join(', ')]));
+  }
+
+  if (inspection.skins.length > 0) {
+    log('\n🦴 Skins:', 'bright');
+    printTable(['Skin', 'Joints'], inspection.skins.map(skin => [skin.name, skin.joints]));
+  }
+}
+
+// `gltf-optimizer inspect`: detailed breakdown of each model, as tables or JSON
+async function inspectCommand() {
+  const { inspectModel } = require('./lib/inspect');
+
+  if (positionalArgs.length === 0) {
+    log('❌ Usage: gltf-optimizer inspect <files...> [--json]', 'red');
+    return EXIT_FAILURE;
+  }
+
+  const inspections = [];
+  for (const arg of positionalArgs) {
+    const file = path.resolve(arg);
+    if (!fs.existsSync(file)) {
+      log(`❌ Not found: ${file}`, 'red');
+      return EXIT_FAILURE;
+    }
+    try {
+      inspections.push(await inspectModel(file));
+    } catch (error) {
+      log(`❌ Could not inspect ${arg}: ${error.message}`, 'red');
+      return EXIT_FAILURE;
+    }
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(inspections.length === 1 ? inspections[0] : inspections, null, 2));
+  } else {
+    inspections.forEach(printInspection);
+  }
+  return 0;
+}
+
+// Models named on the command line (a model, its -original backup or a folder;
+// a model converted to another format is found by its new name) that have a
+// backup, or every backed up model in modelsDir. Returns null when a target
+// does not exist or a named model has no backup.
+function collectBackedUpModels(modelsDir) {
+  const { resolveBackedUpModel, findBackedUpModels } = require('./lib/backups');
+  const targets = positionalArgs.length > 0 ? positionalArgs.map(arg => path.resolve(arg)) : [modelsDir];
+
+  const models = [];
+  for (const target of targets) {
+    if (!fs.existsSync(target)) {
+      log(`❌ Not found: ${target}`, 'red');
+      return null;
+    }
+    if (fs.statSync(target).isDirectory()) {
+      models.push(...findBackedUpModels(target));
+    } else if (resolveBackedUpModel(target)) {
+      models.push(resolveBackedUpModel(target));
+    } else {
+      log(`❌ No backup found for ${path.relative(process.cwd(), target)}`, 'red');
+      return null;
+    }
+  }
+  return [...new Set(models)];
+}
+
+// `gltf-optimizer restore`: puts backed up models back as they were before
+// optimization and exits non-zero if any could not be restored
+function restoreCommand() {
+  const { restoreModel } = require('./lib/backups');
+  const { modelsDir } = loadSettings();
+  const models = collectBackedUpModels(modelsDir);
+
+  if (!models) {
+    return EXIT_FAILURE;
+  }
+  if (models.length === 0) {
+    log('⚠️  No backups to restore', 'yellow');
+    return 0;
+  }
+
+  let failed = 0;
+  const results = [];
+  models.forEach(model => {
+    const name = path.relative(process.cwd(), model);
+    try {
+      const { restored, removed } = restoreModel(model);
+      results.push({ modelPath: model, restored, removed, error: null });
+      log(`✅ Restored ${name} (${restored.length} file(s)${removed.length > 0 ? `, ${removed.length} optimized file(s) removed` : ''})`, 'green');
+    } catch (error) {
+      failed++;
+      results.push({ modelPath: model, restored: [], removed: [], error: error.message });
+      log(`❌ Could not restore ${name}: ${error.message}`, 'red');
+    }
   });
 
-  rl.question('\n⚠️  Continue with optimization? (y/n): ', (answer) => {
-    rl.close();
+  log(`\n📊 ${models.length - failed} of ${models.length} model(s) restored`, failed > 0 ? 'red' : 'green');
+  if (jsonOutput) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+  return failed > 0 ? EXIT_FAILURE : 0;
+}
+
+// `gltf-optimizer clean-backups`: deletes the backups of optimized models,
+// after a confirmation unless --yes is passed
+async function cleanBackupsCommand() {
+  const { listModelBackups, cleanBackups } = require('./lib/backups');
+  const { modelsDir } = loadSettings();
+  const models = collectBackedUpModels(modelsDir);
+
+  if (!models) {
+    return EXIT_FAILURE;
+  }
+  const backups = models.flatMap(listModelBackups);
+  if (backups.length === 0) {
+    log('⚠️  No backups to delete', 'yellow');
+    return 0;
+  }
+
+  log(`\n🗑️  ${backups.length} backup file(s) of ${models.length} model(s):`, 'bright');
+  backups.forEach(file => log(`   ${path.relative(process.cwd(), file)}`, 'yellow'));
 
+  if (!nonInteractive) {
+    ensureInteractive();
+    const answer = await askQuestion('\n⚠️  Delete these backups? Models can no longer be restored (y/n): ');
     if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
-      log('\n❌ Optimization cancelled', 'red');
-      process.exit(0);
+      log('\n❌ Cancelled', 'red');
+      return 0;
     }
+  }
 
-    let totalOriginalSize = 0;
-    let totalOptimizedSize = 0;
-    let successCount = 0;
-    let errorCount = 0;
+  let failed = 0;
+  const removed = [];
+  models.forEach(model => {
+    try {
+      removed.push(...cleanBackups(model));
+    } catch (error) {
+      failed++;
+      log(`❌ Could not delete the backups of ${path.relative(process.cwd(), model)}: ${error.message}`, 'red');
+    }
+  });
 
-    selectedFiles.forEach((file, index) => {
-      const { getGltfModelSize } = require('./lib/optimize');
+  log(`\n📊 Backups deleted for ${models.length - failed} of ${models.length} model(s)`, failed > 0 ? 'red' : 'green');
+  if (jsonOutput) {
+    console.log(JSON.stringify({ removed }, null, 2));
+  }
+  return failed > 0 ? EXIT_FAILURE : 0;
+}
 
-      try {
-        const originalSize = getGltfModelSize(file);
+// Re-optimizes models as they are exported into modelsDir, until interrupted
+function watchCommand() {
+  const { config, modelsDir, outputDir, findOptions } = loadSettings();
 
-        optimizeModel(file, {
-          compressDraco: COMPRESS_DRACO,
-          resizeTextures: RESIZE_TEXTURES,
-          maxTextureSize: MAX_TEXTURE_SIZE,
-          backupOriginal: true
-        });
+  if (!fs.existsSync(modelsDir)) {
+    log(`❌ Models directory not found: ${modelsDir}`, 'red');
+    process.exit(EXIT_FAILURE);
+  }
 
-        // Calculer la taille après optimisation (le fichier a été remplacé)
-        const optimizedSize = getGltfModelSize(file);
+  const options = getModelOptions(config, modelsDir, outputDir);
+  const watchConfig = config.watch || {};
 
-        totalOriginalSize += parseFloat(originalSize) || 0;
-        totalOptimizedSize += parseFloat(optimizedSize) || 0;
-        successCount++;
+  log(`👀 Watching ${path.relative(process.cwd(), modelsDir) || '.'} for model changes (Ctrl+C to stop)`, 'bright');
+  if (outputDir) {
+    log(`📁 Optimized models are written to ${path.relative(process.cwd(), outputDir) || '.'}`, 'blue');
+  } else {
+    log('⚠️  No output directory set: models are optimized in place', 'yellow');
+  }
 
-      } catch (error) {
-        log(`❌ Optimization failed: ${path.basename(file)} - ${error.message}`, 'red');
-        errorCount++;
-      }
-    });
+  const watcher = watchModels(modelsDir, options, {
+    ...findOptions,
+    debounceMs: watchConfig.debounceMs,
+    companionTimeoutMs: watchConfig.companionTimeoutMs,
+    cacheFile: getCacheFile(config, modelsDir, outputDir),
+    onResult: reportFailure
+  });
 
-    // Résumé statistique global
-    log('\n' + '='.repeat(60), 'green');
-    log('📊 GLOBAL OPTIMIZATION REPORT', 'bright');
-    log('='.repeat(60), 'green');
-
-    log(`\n📈 Statistics:`, 'blue');
-    log(`   ✅ Successfully optimized models: ${successCount}`, 'green');
-    log(`   ❌ Optimization failures: ${errorCount}`, errorCount > 0 ? 'red' : 'green');
-    log(`   📦 Total original size: ${totalOriginalSize.toFixed(2)} MB`, 'yellow');
-    log(`   📦 Total optimized size: ${totalOptimizedSize.toFixed(2)} MB`, 'green');
-
-    if (successCount > 0) {
-      const totalReduction = ((1 - totalOptimizedSize / totalOriginalSize) * 100).toFixed(1);
-      const totalSavings = (totalOriginalSize - totalOptimizedSize).toFixed(2);
-      log(`   💾 Total reduction: ${totalReduction}% (${totalSavings} MB saved)`, 'green');
-    }
+  process.on('SIGINT', () => {
+    watcher.close();
+    log('\n👋 Stopped watching', 'blue');
+    process.exit(0);
+  });
+}
+
+// `gltf-optimizer serve`: optimization service over HTTP (see lib/server.js).
+// The configured options, preset and overrides (matched on the uploaded file
+// name) and the optimization flags apply to every job.
+function serveCommand() {
+  const { createOptimizationServer } = require('./lib/server');
+  const { config, modelsDir } = loadSettings();
+  const serveConfig = config.serve || {};
+  const options = getModelOptions(config, modelsDir, null);
+
+  const port = flags.port !== undefined ? flags.port : serveConfig.port !== undefined ? serveConfig.port : 8080;
+  const host = flags.host || serveConfig.host || '127.0.0.1';
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    log(`❌ Invalid port: ${port}`, 'red');
+    process.exit(EXIT_USAGE);
+  }
 
-    log('\n🎉 All models optimization completed!', 'green');
-    log('='.repeat(60), 'green');
+  const service = createOptimizationServer({
+    options: name => options(path.join(modelsDir, name)),
+    concurrency: Math.max(1, parseInt(serveConfig.concurrency, 10) || 1),
+    maxQueue: serveConfig.maxQueue,
+    maxUploadBytes: serveConfig.maxUploadMB && serveConfig.maxUploadMB * 1024 * 1024,
+    maxModelBytes: serveConfig.maxModelMB && serveConfig.maxModelMB * 1024 * 1024,
+    jobTtlMs: serveConfig.jobTtlMinutes && serveConfig.jobTtlMinutes * 60 * 1000,
+    maxJobs: serveConfig.maxJobs,
+    maxResultBytes: serveConfig.maxResultMB && serveConfig.maxResultMB * 1024 * 1024
+  });
+
+  service.listen(port, host).then(({ url }) => {
+    log(`🌐 Optimization service listening on ${url} (Ctrl+C to stop)`, 'bright');
+    log('   POST /optimize, POST /validate, GET /jobs/:id, /jobs/:id/result, /jobs/:id/report', 'blue');
+  }, error => {
+    log(`❌ Could not listen on ${host}:${port}: ${error.message}`, 'red');
+    process.exit(EXIT_FAILURE);
+  });
+
+  process.on('SIGINT', () => {
+    service.close().then(() => {
+      log('\n👋 Service stopped', 'blue');
+      process.exit(0);
+    });
   });
 }
 
-main();
+// Exits once the output is flushed: process.exit() can cut off a large JSON
+// document written to a pipe
+function exitWith(code) {
+  process.stdout.write('', () => process.exit(code));
+}
+
+// Without a command, the first argument is a model or folder to optimize
+const firstArg = positionalArgs[0];
+if (!command && firstArg && !fs.existsSync(firstArg) && !/[\\/.]/.test(firstArg)) {
+  log(`❌ Unknown command: ${firstArg}`, 'red');
+  showHelp();
+  process.exit(EXIT_USAGE);
+}
+
+if (command === 'validate') {
+  exitWith(validateCommand());
+} else if (command === 'inspect') {
+  inspectCommand().then(exitWith);
+} else if (command === 'check') {
+  checkCommand().then(exitWith);
+} else if (command === 'watch') {
+  watchCommand();
+} else if (command === 'serve') {
+  serveCommand();
+} else if (command === 'restore') {
+  exitWith(restoreCommand());
+} else if (command === 'clean-backups') {
+  cleanBackupsCommand().then(exitWith);
+} else {
+  main().then(exitWith);
+}
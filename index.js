@@ -1,6 +1,42 @@
 const optimizeLib = require('./lib/optimize');
+const batchLib = require('./lib/batch');
+const reportLib = require('./lib/report');
+const cacheLib = require('./lib/cache');
+const validateLib = require('./lib/validate');
+const texturesLib = require('./lib/textures');
+const lodLib = require('./lib/lod');
+const watchLib = require('./lib/watch');
+const presetsLib = require('./lib/presets');
+const budgetsLib = require('./lib/budgets');
+const inspectLib = require('./lib/inspect');
+const verifyLib = require('./lib/verify');
+const thumbnailLib = require('./lib/thumbnail');
+const atomicLib = require('./lib/atomic');
+const backupsLib = require('./lib/backups');
+const formatLib = require('./lib/format');
+const pipelineLib = require('./lib/pipeline');
+const loggerLib = require('./lib/logger');
+const serverLib = require('./lib/server');
 
 module.exports = {
   ...optimizeLib,
+  ...batchLib,
+  ...reportLib,
+  ...cacheLib,
+  ...validateLib,
+  ...texturesLib,
+  ...lodLib,
+  ...watchLib,
+  ...presetsLib,
+  ...budgetsLib,
+  ...inspectLib,
+  ...verifyLib,
+  ...thumbnailLib,
+  ...atomicLib,
+  ...backupsLib,
+  ...formatLib,
+  ...pipelineLib,
+  ...loggerLib,
+  ...serverLib,
   // Add any top-level exports if needed
 };
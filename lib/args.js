@@ -0,0 +1,246 @@
+// Command line parsing for the CLI: subcommands, positional files and folders,
+// and one flag per optimizeModel option. Flags take their value as
+// `--flag=value` or `--flag value`; boolean flags accept `--no-flag`. Flags
+// with an optional value only read the next argument when it looks like one.
+
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+const COMMANDS = ['optimize', 'validate', 'inspect', 'check', 'watch', 'serve', 'restore', 'clean-backups'];
+
+// Flags of the CLI itself
+const CLI_FLAGS = [
+  { name: 'yes', alias: 'y', type: 'boolean', description: 'Non-interactive mode: no prompts (required without a TTY)' },
+  { name: 'models-dir', type: 'string', value: '<path>', description: 'Directory containing the models' },
+  { name: 'output-dir', type: 'string', value: '<path>', description: 'Output directory (optional)' },
+  { name: 'config', type: 'string', value: '<path>', description: 'Configuration file (default: auto-detected)' },
+  { name: 'report', type: 'string', value: '<file>', description: 'Write a report (.json, .csv or .md)' },
+  { name: 'preset', type: 'string', value: '<name>', description: 'Apply a preset from the config to every model' },
+  { name: 'force', type: 'boolean', description: 'Re-optimize models even if unchanged since last run' },
+  { name: 'dry-run', type: 'boolean', description: 'Show the models and options that would be used, write nothing' },
+  { name: 'json', type: 'boolean', description: 'Print results as JSON on stdout (logs go to stderr)' },
+  { name: 'quiet', alias: 'q', type: 'boolean', description: 'Only print errors (logLevel: error)' },
+  { name: 'verbose', alias: 'v', type: 'boolean', description: 'Print debug details (logLevel: debug)' },
+  { name: 'log-level', type: 'string', values: LOG_LEVELS, description: 'Log level (default: logLevel from the config, or info)' },
+  { name: 'log-format', type: 'string', values: LOG_FORMATS, description: 'pretty lines, or JSON lines with model and step fields (default: logFormat from the config, or pretty)' },
+  { name: 'before', type: 'boolean', description: 'check: test budgets on the sources (default)' },
+  { name: 'after', type: 'boolean', description: 'check: optimize, then test budgets on the optimized models' },
+  { name: 'port', type: 'number', value: '<port>', description: 'serve: port to listen on (default: serve.port from the config, or 8080)' },
+  { name: 'host', type: 'string', value: '<address>', description: 'serve: address to listen on (default: serve.host from the config, or 127.0.0.1: this machine only)' },
+  { name: 'help', alias: 'h', type: 'boolean', description: 'Show this help' }
+];
+
+// `--simplify`, `--simplify=0.5` or `--simplify='{"ratio":0.5,"error":0.01}'`
+function parseSimplify(value) {
+  return isJson(value) ? JSON.parse(value) : { ratio: parseNumber('simplify', value) };
+}
+
+// `--lod`, `--lod=0.5,0.25` or `--lod='{"levels":[0.5],"output":"msft_lod"}'`
+function parseLod(value) {
+  return isJson(value) ? JSON.parse(value) : { levels: value.split(',').map(ratio => parseNumber('lod', ratio)) };
+}
+
+// `--verify` or `--verify='{"thumbnail":true}'`
+function parseVerify(value) {
+  if (!isJson(value)) {
+    throw new Error(`--verify takes a JSON object (got ${value})`);
+  }
+  return JSON.parse(value);
+}
+
+// `--pipeline=optimize,./strip-editor-nodes.js,geometry` or a JSON array
+function parsePipeline(value) {
+  return isJson(value) ? JSON.parse(value) : value.split(',').map(step => step.trim()).filter(Boolean);
+}
+
+// Flags setting an optimizeModel option. A dotted `option` sets a nested key.
+const OPTION_FLAGS = [
+  { name: 'geometry-compression', option: 'geometryCompression', type: 'string', values: ['draco', 'meshopt', 'quantize', 'none'], description: 'Geometry compression method (default: draco)' },
+  { name: 'draco', option: 'compressDraco', type: 'boolean', description: '--no-draco: no geometry compression unless --geometry-compression is set' },
+  { name: 'draco-level', option: 'dracoLevel', type: 'number', value: '<0-10>', description: 'Draco compression level (default: 5)' },
+  { name: 'draco-method', option: 'dracoMethod', type: 'string', values: ['edgebreaker', 'sequential'], description: 'Draco encoding method (default: edgebreaker)' },
+  { name: 'meshopt-level', option: 'meshoptLevel', type: 'string', values: ['medium', 'high'], description: 'Meshopt compression level (default: high)' },
+  { name: 'quantize-position', option: 'quantizePosition', type: 'number', value: '<bits>', description: 'Quantization bits for positions (default: 14)' },
+  { name: 'quantize-normal', option: 'quantizeNormal', type: 'number', value: '<bits>', description: 'Quantization bits for normals (default: 10)' },
+  { name: 'quantize-texcoord', option: 'quantizeTexcoord', type: 'number', value: '<bits>', description: 'Quantization bits for UVs (default: 12)' },
+  { name: 'quantize-color', option: 'quantizeColor', type: 'number', value: '<bits>', description: 'Quantization bits for vertex colors (default: 8)' },
+  { name: 'quantization-volume', option: 'quantizationVolume', type: 'string', values: ['mesh', 'scene'], description: 'Quantization bounds (default: mesh)' },
+  { name: 'resize-textures', option: 'resizeTextures', type: 'boolean', description: '--no-resize-textures keeps texture dimensions' },
+  { name: 'max-texture-size', option: 'maxTextureSize', type: 'number', value: '<px>', description: 'Largest texture side (default: 1024)' },
+  { name: 'min-texture-size', option: 'minTextureSize', type: 'number', value: '<px>', description: 'Smallest side a texture is resized to (default: 0)' },
+  { name: 'power-of-two', option: 'powerOfTwo', type: 'boolean', description: 'Snap resized textures to powers of two' },
+  { name: 'texture-format', option: 'textureFormat', type: 'string', values: ['webp', 'avif', 'jpeg', 'png', 'ktx2-etc1s', 'ktx2-uastc', 'keep'], description: 'Texture format (default: webp, per-slot formats from config are kept)' },
+  { name: 'texture-quality', option: 'textureQuality', type: 'number', value: '<0-100>', description: 'Texture encoding quality' },
+  { name: 'texture-resize-overrides', option: 'textureResizeOverrides', type: 'string', value: '<json>', parse: value => JSON.parse(value), description: 'Per-texture resize rules, as in the config' },
+  { name: 'simplify', option: 'simplify', type: 'optional', value: '[=<ratio|json>]', parse: parseSimplify, description: 'Simplify meshes (--simplify=0.5 keeps half the triangles)' },
+  { name: 'lod', option: 'lod', type: 'optional', value: '[=<ratios|json>]', parse: parseLod, description: 'Generate LOD levels (--lod=0.5,0.25)' },
+  { name: 'verify', option: 'verify', type: 'optional', value: '[=<json>]', parse: parseVerify, description: 'Compare each optimized model with its source' },
+  { name: 'output-format', option: 'outputFormat', type: 'string', values: ['glb', 'gltf', 'gltf-embedded'], description: 'Output format (default: same as the input)' },
+  { name: 'buffer-names', option: 'resourceNames.buffers', type: 'string', value: '<template>', description: 'Separate .gltf: .bin file names, e.g. {name}.bin' },
+  { name: 'texture-names', option: 'resourceNames.textures', type: 'string', value: '<template>', description: 'Separate .gltf: texture file names, e.g. textures/{texture}.{ext}' },
+  { name: 'pipeline', option: 'pipeline', type: 'string', value: '<steps|json>', parse: parsePipeline, description: 'Ordered steps: built-in names and ./local-modules.js (default: optimize,simplify,geometry,resize,textures,lod)' },
+  { name: 'backup', option: 'backupOriginal', type: 'boolean', description: '--no-backup: do not keep -original copies when optimizing in place' }
+];
+
+const FLAGS = [...CLI_FLAGS, ...OPTION_FLAGS];
+
+function isJson(value) {
+  return /^\s*[[{]/.test(value);
+}
+
+// A number (`0.5`, `.5`, `0.5,0.25`) or JSON, rather than a file or folder
+function looksLikeValue(value) {
+  return isJson(value) || /^\.?\d/.test(value);
+}
+
+function parseNumber(name, value) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    throw new Error(`--${name} must be a number (got ${value})`);
+  }
+  return number;
+}
+
+function parseBoolean(name, value) {
+  if (['true', '1', 'yes'].includes(value)) return true;
+  if (['false', '0', 'no'].includes(value)) return false;
+  throw new Error(`--${name} takes no value (got ${value})`);
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function setOption(options, optionPath, value) {
+  const keys = optionPath.split('.');
+  let target = options;
+  keys.slice(0, -1).forEach(key => {
+    target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+function parseValue(flag, value) {
+  try {
+    if (flag.parse) return flag.parse(value);
+  } catch (error) {
+    throw new Error(error.message.startsWith('--') ? error.message : `Invalid value for --${flag.name}: ${error.message}`);
+  }
+  if (flag.type === 'number') return parseNumber(flag.name, value);
+  if (flag.values && !flag.values.includes(value)) {
+    throw new Error(`--${flag.name} must be one of ${flag.values.join(', ')} (got ${value})`);
+  }
+  return value;
+}
+
+// Parses the arguments after `node cli.js`. Returns { command, positionals,
+// flags, options }: `flags` holds every flag by camelCase name, `options` the
+// optimizeModel options set on the command line. Throws on unknown flags and
+// invalid values.
+function parseArgs(argv) {
+  const flags = {};
+  const options = {};
+  const positionals = [];
+
+  function apply(flag, value) {
+    flags[toCamelCase(flag.name)] = value;
+    if (flag.option) {
+      setOption(options, flag.option, value);
+    }
+  }
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(index + 1));
+      break;
+    }
+
+    if (arg.startsWith('--')) {
+      const equals = arg.indexOf('=');
+      const name = equals >= 0 ? arg.slice(2, equals) : arg.slice(2);
+      const inline = equals >= 0 ? arg.slice(equals + 1) : undefined;
+
+      let flag = FLAGS.find(candidate => candidate.name === name);
+      if (!flag && name.startsWith('no-')) {
+        const negated = FLAGS.find(candidate => candidate.name === name.slice(3));
+        if (negated && (negated.type === 'boolean' || negated.type === 'optional')) {
+          if (inline !== undefined) {
+            throw new Error(`--${name} takes no value`);
+          }
+          apply(negated, false);
+          continue;
+        }
+      }
+      if (!flag) {
+        throw new Error(`Unknown option: --${name}`);
+      }
+
+      if (flag.type === 'boolean') {
+        apply(flag, inline === undefined ? true : parseBoolean(flag.name, inline));
+      } else if (flag.type === 'optional') {
+        // `--simplify 0.5` reads the next argument as the value, and fails if it
+        // does not parse; `--simplify models/` leaves the folder a positional
+        let value = inline;
+        if (value === undefined && argv[index + 1] !== undefined && looksLikeValue(argv[index + 1])) {
+          value = argv[++index];
+        }
+        apply(flag, value === undefined ? true : parseValue(flag, value));
+      } else {
+        let value = inline;
+        if (value === undefined) {
+          value = argv[index + 1];
+          if (value === undefined || value.startsWith('--')) {
+            throw new Error(`--${flag.name} needs a value${flag.values ? ` (${flag.values.join(', ')})` : ''}`);
+          }
+          index++;
+        }
+        apply(flag, parseValue(flag, value));
+      }
+      continue;
+    }
+
+    // Short aliases, alone or combined (-yq)
+    if (/^-[a-zA-Z]+$/.test(arg)) {
+      [...arg.slice(1)].forEach(letter => {
+        const flag = FLAGS.find(candidate => candidate.alias === letter);
+        if (!flag) {
+          throw new Error(`Unknown option: -${letter}`);
+        }
+        apply(flag, true);
+      });
+      continue;
+    }
+
+    positionals.push(arg);
+  }
+
+  const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : null;
+  return { command, positionals, flags, options };
+}
+
+// Help lines for a list of flags, aligned like the rest of the usage text
+function formatFlagHelp(flags) {
+  const lines = [];
+  flags.forEach(flag => {
+    const value = flag.value || (flag.values ? `<${flag.values.join('|')}>` : '');
+    const separator = value && !value.startsWith('[') ? '=' : '';
+    const label = `--${flag.name}${separator}${value}${flag.alias ? `, -${flag.alias}` : ''}`;
+    if (label.length < 25) {
+      lines.push(`  ${label.padEnd(25)}${flag.description}`);
+    } else {
+      lines.push(`  ${label}`);
+      lines.push(`${' '.repeat(27)}${flag.description}`);
+    }
+  });
+  return lines;
+}
+
+module.exports = {
+  COMMANDS,
+  CLI_FLAGS,
+  OPTION_FLAGS,
+  parseArgs,
+  formatFlagHelp
+};
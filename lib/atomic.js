@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+
+// Sibling path used while a file is being replaced: "name.ext" -> "name-temp.ext".
+// The watcher and discovery treat these names as our own artifacts.
+function getTempPath(filePath, suffix = 'temp') {
+  const ext = path.extname(filePath);
+  return path.join(path.dirname(filePath), `${path.basename(filePath, ext)}-${suffix}${ext}`);
+}
+
+function removeIfExists(filePath) {
+  fs.rmSync(filePath, { force: true });
+}
+
+// Flushes a directory entry change (rename, create) to disk. Not supported on
+// every platform, where the rename itself is the best we can do.
+function fsyncDirectory(dir) {
+  let fd = null;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Directories cannot be opened for fsync on Windows
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+// Writes `data` to `filePath` and flushes it to disk before returning
+function writeDurable(filePath, data) {
+  const fd = fs.openSync(filePath, 'w');
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Copies a file and flushes the copy to disk
+function copyDurable(fromPath, toPath) {
+  fs.copyFileSync(fromPath, toPath);
+  const fd = fs.openSync(toPath, 'r+');
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Replaces `filePath` in one step: readers see the old or the new content, never
+// a partial file. The data is written to a temporary file, flushed, then renamed.
+function writeFileAtomic(filePath, data) {
+  const tempPath = getTempPath(filePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  try {
+    writeDurable(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    removeIfExists(tempPath);
+    throw error;
+  }
+  fsyncDirectory(path.dirname(filePath));
+}
+
+// Atomic copy, e.g. for backups: the target is complete or absent
+function copyFileAtomic(fromPath, toPath) {
+  const tempPath = getTempPath(toPath);
+  fs.mkdirSync(path.dirname(toPath), { recursive: true });
+  try {
+    copyDurable(fromPath, tempPath);
+    fs.renameSync(tempPath, toPath);
+  } catch (error) {
+    removeIfExists(tempPath);
+    throw error;
+  }
+  fsyncDirectory(path.dirname(toPath));
+}
+
+// Replaces several files as a group. stage() writes each new file to a flushed
+// temporary file without touching the target; commit() renames them over their
+// targets, keeping a link to each previous version until every rename succeeded.
+// stageRemoval() deletes a file as part of the commit. If a rename fails, or
+// rollback() is called, the previous files are put back and files that did
+// not exist before are removed.
+function createFileTransaction() {
+  const staged = new Map(); // target -> temporary file
+  const removals = new Set(); // files deleted by the commit
+  const committed = []; // { target, previous } in commit order
+  let done = false;
+
+  function stage(filePath, data) {
+    const target = path.resolve(filePath);
+    const tempPath = getTempPath(target);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    writeDurable(tempPath, data);
+    staged.set(target, tempPath);
+  }
+
+  // Stages a copy of an existing file, e.g. when restoring a backup
+  function stageCopy(filePath, fromPath) {
+    const target = path.resolve(filePath);
+    const tempPath = getTempPath(target);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    copyDurable(fromPath, tempPath);
+    staged.set(target, tempPath);
+  }
+
+  // Keeps the current version of a target reachable under a second name;
+  // a hard link costs nothing, filesystems without them get a copy
+  function keepPrevious(target) {
+    if (!fs.existsSync(target)) return null;
+    const previous = getTempPath(target, 'previous-temp');
+    removeIfExists(previous);
+    try {
+      fs.linkSync(target, previous);
+    } catch (error) {
+      fs.copyFileSync(target, previous);
+    }
+    return previous;
+  }
+
+  // Deletes a file on commit; rollback puts it back
+  function stageRemoval(filePath) {
+    removals.add(path.resolve(filePath));
+  }
+
+  function rollback() {
+    if (done) return;
+    done = true;
+    committed.reverse().forEach(({ target, previous }) => {
+      if (previous) {
+        fs.renameSync(previous, target);
+      } else {
+        removeIfExists(target);
+      }
+    });
+    staged.forEach(tempPath => removeIfExists(tempPath));
+  }
+
+  function commit() {
+    if (done) {
+      throw new Error('Transaction already committed or rolled back');
+    }
+    try {
+      for (const [target, tempPath] of staged) {
+        const previous = keepPrevious(target);
+        committed.push({ target, previous });
+        fs.renameSync(tempPath, target);
+      }
+      for (const target of removals) {
+        if (staged.has(target) || !fs.existsSync(target)) continue;
+        committed.push({ target, previous: keepPrevious(target) });
+        fs.unlinkSync(target);
+      }
+      new Set([...staged.keys(), ...removals].map(target => path.dirname(target))).forEach(fsyncDirectory);
+    } catch (error) {
+      rollback();
+      throw error;
+    }
+    done = true;
+    committed.forEach(({ previous }) => previous && removeIfExists(previous));
+  }
+
+  return {
+    stage,
+    stageCopy,
+    stageRemoval,
+    commit,
+    rollback,
+    listStaged: () => [...staged.keys()]
+  };
+}
+
+// Encodes a document in memory as the files io.write() would create for
+// `filePath`: the .glb, or the .gltf JSON and its .bin and texture files. With
+// `embedded`, a .gltf holds its buffers and images as base64 data: URIs.
+// Returns { files: Map of absolute path -> data (model file first), decode },
+// where decode() reads the encoded model back into a new Document.
+async function encodeModelFiles(io, document, filePath, { embedded = false } = {}) {
+  const { FileUtils, Format, ImageUtils } = require('@gltf-transform/core');
+  const files = new Map();
+  const target = path.resolve(filePath);
+
+  if (path.extname(target).toLowerCase() === '.glb') {
+    const glb = await io.writeBinary(document);
+    files.set(target, glb);
+    return { files, decode: () => io.readBinary(glb) };
+  }
+
+  const jsonDoc = await io.writeJSON(document, { format: Format.GLTF, basename: FileUtils.basename(target) });
+  if (embedded) {
+    const toDataUri = (uri, mimeType) => `data:${mimeType};base64,${Buffer.from(jsonDoc.resources[uri]).toString('base64')}`;
+    (jsonDoc.json.buffers || []).forEach(buffer => {
+      if (buffer.uri in jsonDoc.resources) buffer.uri = toDataUri(buffer.uri, 'application/octet-stream');
+    });
+    (jsonDoc.json.images || []).forEach(image => {
+      if (image.uri in jsonDoc.resources) {
+        image.uri = toDataUri(image.uri, image.mimeType || ImageUtils.extensionToMimeType(FileUtils.extension(image.uri)));
+      }
+    });
+    const json = Buffer.from(JSON.stringify(jsonDoc.json, null, 2));
+    files.set(target, json);
+    return { files, decode: () => io.readJSON({ json: JSON.parse(json.toString('utf8')), resources: {} }) };
+  }
+
+  files.set(target, Buffer.from(JSON.stringify(jsonDoc.json, null, 2)));
+  Object.entries(jsonDoc.resources).forEach(([uri, data]) => {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(uri)) return; // Remote images are left where they are
+    files.set(path.resolve(path.dirname(target), decodeURIComponent(uri)), data);
+  });
+  return { files, decode: () => io.readJSON(jsonDoc) };
+}
+
+module.exports = {
+  getTempPath,
+  writeFileAtomic,
+  copyFileAtomic,
+  createFileTransaction,
+  encodeModelFiles
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { findGltfFiles, getBackupPath, listGltfResources } = require('./optimize');
+const { createFileTransaction } = require('./atomic');
+
+const BACKUP_PATTERNS = ['**/*-original.gltf', '**/*-original.glb'];
+const BACKUP_SUFFIX = /-original(\.[^./\\]+)$/;
+
+function isBackupPath(filePath) {
+  return BACKUP_SUFFIX.test(path.basename(filePath));
+}
+
+// Model a backup belongs to: "name-original.ext" -> "name.ext"
+function getBackedUpPath(backupPath) {
+  return path.join(path.dirname(backupPath), path.basename(backupPath).replace(BACKUP_SUFFIX, '$1'));
+}
+
+// Same model name with the other extension (model.gltf <-> model.glb)
+function getOtherFormatPath(modelPath) {
+  const ext = path.extname(modelPath);
+  const otherExt = ext.toLowerCase() === '.glb' ? '.gltf' : '.glb';
+  return path.join(path.dirname(modelPath), `${path.basename(modelPath, ext)}${otherExt}`);
+}
+
+// File holding the optimized version of a backed up model: the model itself,
+// or its other-format twin when it was converted in place (outputFormat)
+function getOptimizedPath(modelPath) {
+  const otherPath = getOtherFormatPath(modelPath);
+  return !fs.existsSync(modelPath) && fs.existsSync(otherPath) ? otherPath : modelPath;
+}
+
+// Backed up model a path refers to: the model, or the source it was converted
+// from in place. Returns null when neither has a backup.
+function resolveBackedUpModel(filePath) {
+  if (isBackupPath(filePath)) {
+    return getBackedUpPath(filePath);
+  }
+  return [filePath, getOtherFormatPath(filePath)].find(candidate => fs.existsSync(getBackupPath(candidate))) || null;
+}
+
+// Models under `dir` that have an "-original" backup
+function findBackedUpModels(dir, { excludePatterns = ['**/node_modules/**'] } = {}) {
+  return findGltfFiles(dir, { includePatterns: BACKUP_PATTERNS, excludePatterns }).map(getBackedUpPath);
+}
+
+// Backups of a model: the model's own, plus those of the .bin and texture files
+// the original or the optimized model reference
+function listModelBackups(modelPath) {
+  const backupPath = getBackupPath(modelPath);
+  const optimizedPath = getOptimizedPath(modelPath);
+  const resources = [
+    ...(fs.existsSync(backupPath) ? listGltfResources(backupPath) : []),
+    ...(fs.existsSync(optimizedPath) ? listGltfResources(optimizedPath) : [])
+  ];
+  const backups = new Set([backupPath, ...resources.map(resource => getBackupPath(resource.path))]);
+  return [...backups].filter(file => fs.existsSync(file));
+}
+
+// LOD files written next to a model: "name.lod1.ext", "name.lod2.ext"...
+function listLodFiles(modelPath) {
+  const ext = path.extname(modelPath);
+  const baseName = path.basename(modelPath, ext);
+  const dir = path.dirname(modelPath);
+  return fs.readdirSync(dir)
+    .filter(item => item.startsWith(`${baseName}.lod`) && /^\d+$/.test(item.slice(baseName.length + 4, -ext.length || undefined)) && item.endsWith(ext))
+    .map(item => path.join(dir, item));
+}
+
+// Puts a model back as it was before optimization, with every .bin and texture
+// file it referenced, in one transaction. Files only the optimized model and its
+// LOD files used are removed, and so are the backups once everything is restored.
+// Returns { modelPath, restored, removed }.
+function restoreModel(modelPath) {
+  modelPath = path.resolve(modelPath);
+  const backupPath = getBackupPath(modelPath);
+  if (!fs.existsSync(backupPath)) {
+    throw new Error(`No backup found for ${path.basename(modelPath)} (expected ${path.basename(backupPath)})`);
+  }
+
+  // The backup references its resources by their original names
+  const originalResources = listGltfResources(backupPath).map(resource => resource.path);
+  const optimizedPath = getOptimizedPath(modelPath);
+  const lodFiles = listLodFiles(optimizedPath);
+  const optimizedFiles = [
+    ...[optimizedPath, ...lodFiles].filter(file => fs.existsSync(file)).flatMap(file => listGltfResources(file).map(resource => resource.path)),
+    ...lodFiles,
+    // A model converted in place goes back to its original format
+    ...(optimizedPath !== modelPath ? [optimizedPath] : [])
+  ];
+  const backups = listModelBackups(modelPath);
+
+  const missing = originalResources.find(resourcePath => !fs.existsSync(getBackupPath(resourcePath)) && !fs.existsSync(resourcePath));
+  if (missing) {
+    throw new Error(`Missing file referenced by the backup: ${path.basename(missing)}`);
+  }
+
+  // Resources without a backup were never overwritten and stay as they are
+  const restored = [modelPath, ...originalResources.filter(resourcePath => fs.existsSync(getBackupPath(resourcePath)))];
+  const transaction = createFileTransaction();
+  try {
+    restored.forEach(file => transaction.stageCopy(file, getBackupPath(file)));
+    transaction.commit();
+  } catch (error) {
+    transaction.rollback();
+    throw error;
+  }
+
+  const removed = [...new Set(optimizedFiles)].filter(file => !originalResources.includes(file) && fs.existsSync(file));
+  [...removed, ...backups].forEach(file => fs.rmSync(file, { force: true }));
+
+  return { modelPath, restored, removed };
+}
+
+// Deletes the backups of a model, keeping the optimized files. Returns the removed paths.
+function cleanBackups(modelPath) {
+  const backups = listModelBackups(path.resolve(modelPath));
+  backups.forEach(file => fs.rmSync(file, { force: true }));
+  return backups;
+}
+
+module.exports = {
+  isBackupPath,
+  getBackedUpPath,
+  resolveBackedUpModel,
+  findBackedUpModels,
+  listModelBackups,
+  restoreModel,
+  cleanBackups
+};
@@ -0,0 +1,114 @@
+const path = require('path');
+const { optimizeModel } = require('./optimize');
+const { createLogger, getLogger } = require('./logger');
+const { hashModel, loadCache, saveCache, getCachedResult, updateCache } = require('./cache');
+
+// Aggregates optimizeModel results into the totals shown in the global report
+function summarizeResults(results) {
+  const succeeded = results.filter(result => result.status === 'success');
+  const cached = results.filter(result => result.status === 'cached');
+  const originalBytes = succeeded.reduce((sum, result) => sum + result.originalBytes, 0);
+  const optimizedBytes = succeeded.reduce((sum, result) => sum + result.optimizedBytes, 0);
+
+  return {
+    total: results.length,
+    succeeded: succeeded.length,
+    cached: cached.length,
+    failed: results.length - succeeded.length - cached.length,
+    originalBytes,
+    optimizedBytes,
+    savedBytes: originalBytes - optimizedBytes,
+    reduction: originalBytes > 0 ? (1 - optimizedBytes / originalBytes) * 100 : 0
+  };
+}
+
+// Optimizes a list of models, running up to `concurrency` of them at a time.
+// Results keep the order of `files`. When several models run at once, each
+// model's log lines are buffered and printed as one block once it finishes.
+// With a `cacheFile`, unchanged models are skipped and reported as "cached"
+// unless `force` is set. `options` can also be a function returning the
+// options of each file (per-model presets and overrides). Messages and a
+// progress event per finished model go to `logger` (default: the default logger).
+async function optimizeBatch(files, options = {}, batchOptions = {}) {
+  const {
+    concurrency = 1,
+    groupLogs = concurrency > 1,
+    onResult = null,
+    cacheFile = null,
+    force = false,
+    logger = getLogger()
+  } = batchOptions;
+
+  const cache = cacheFile ? loadCache(cacheFile) : null;
+
+  const results = new Array(files.length);
+  const workerCount = Math.max(1, Math.min(Math.floor(concurrency) || 1, files.length));
+  let nextIndex = 0;
+  let finished = 0;
+
+  function complete(result, index) {
+    results[index] = result;
+    logger.progress({
+      current: ++finished,
+      total: files.length,
+      message: path.relative(process.cwd(), files[index]),
+      model: files[index],
+      status: result.status
+    });
+    if (onResult) {
+      onResult(result, index);
+    }
+  }
+
+  async function optimizeOne(index) {
+    const file = files[index];
+    const entries = [];
+    const fileOptions = typeof options === 'function' ? options(file) : options;
+    const modelLogger = fileOptions.logger || logger;
+    const modelOptions = {
+      ...fileOptions,
+      logger: groupLogs ? createLogger({ level: modelLogger.level, sink: entry => entries.push(entry) }) : modelLogger
+    };
+
+    let result = cache && !force ? getCachedResult(cache, file, fileOptions) : null;
+    if (result) {
+      modelLogger.log(`♻️  Unchanged since last run, skipping: ${path.relative(process.cwd(), file)}`, 'blue', 'info', { model: file });
+      complete(result, index);
+      return;
+    }
+
+    try {
+      const sourceHash = cache ? hashModel(file) : null;
+      result = await optimizeModel(file, modelOptions);
+      if (cache && result.status === 'success') {
+        updateCache(cache, result, sourceHash, fileOptions);
+      }
+    } catch (error) {
+      // optimizeModel reports its own failures, this only guards unexpected throws
+      result = { status: 'error', inputPath: file, outputPath: null, originalBytes: 0, optimizedBytes: 0, steps: [], textures: [], verification: null, warnings: [], timings: {}, error: error.message };
+    }
+
+    entries.forEach(entry => modelLogger.write(entry));
+    complete(result, index);
+  }
+
+  async function worker() {
+    while (nextIndex < files.length) {
+      await optimizeOne(nextIndex++);
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: workerCount }, worker));
+  } finally {
+    if (cache) {
+      saveCache(cache);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  optimizeBatch,
+  summarizeResults
+};
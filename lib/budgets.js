@@ -0,0 +1,156 @@
+const path = require('path');
+const picomatch = require('picomatch');
+const { ImageUtils } = require('@gltf-transform/core');
+const { getIO, getGltfModelBytes, formatBytes } = require('./optimize');
+const { validateGltfFile } = require('./validate');
+const { countTriangles } = require('./lod');
+
+// Limits a budget can set, with the metric each one caps
+const BUDGET_LIMITS = {
+  maxFileSize: { metric: 'fileSize', label: 'File size', bytes: true },
+  maxTriangles: { metric: 'triangles', label: 'Triangles' },
+  maxTextures: { metric: 'textures', label: 'Textures' },
+  maxTextureSize: { metric: 'largestTexture', label: 'Largest texture side' },
+  maxDrawCalls: { metric: 'drawCalls', label: 'Draw calls' },
+  maxTextureMemory: { metric: 'textureMemory', label: 'GPU texture memory', bytes: true }
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// Byte limits accept a number of bytes or a string such as "5 MB" or "512KB"
+function parseByteSize(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid size: ${value} (expected bytes or a value like "5 MB")`);
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function formatBudgetValue(limit, value) {
+  return BUDGET_LIMITS[limit].bytes ? formatBytes(value) : value.toLocaleString('en-US');
+}
+
+// Builds a function returning the budget of one model: the limits of every
+// budget whose `match` glob matches the path relative to `baseDir`, merged in
+// order (later budgets win). Returns null when no budget applies.
+function createBudgetResolver(budgets = [], { baseDir = process.cwd() } = {}) {
+  const entries = budgets.map((budget, index) => {
+    if (!budget || !budget.match) {
+      throw new Error(`budgets[${index}] needs a "match" glob`);
+    }
+    const limits = {};
+    Object.entries(budget).forEach(([key, value]) => {
+      if (key === 'match') return;
+      if (!BUDGET_LIMITS[key]) {
+        throw new Error(`Unknown limit "${key}" in budgets[${index}] (expected ${Object.keys(BUDGET_LIMITS).join(', ')})`);
+      }
+      limits[key] = BUDGET_LIMITS[key].bytes ? parseByteSize(value) : Number(value);
+      if (!(limits[key] >= 0)) {
+        throw new Error(`budgets[${index}].${key} must be a positive number (got ${value})`);
+      }
+    });
+    return { match: budget.match, isMatch: picomatch(budget.match, { dot: true }), limits };
+  });
+
+  return function resolveBudget(filePath) {
+    const relativePath = path.relative(baseDir, filePath).split(path.sep).join('/');
+    const matching = entries.filter(entry => entry.isMatch(relativePath));
+    if (matching.length === 0) {
+      return null;
+    }
+    // Remember which glob set each limit, for the violation messages
+    const budget = { limits: {}, sources: {} };
+    matching.forEach(entry => {
+      Object.entries(entry.limits).forEach(([key, value]) => {
+        budget.limits[key] = value;
+        budget.sources[key] = entry.match;
+      });
+    });
+    return budget;
+  };
+}
+
+// Size and complexity of a model as a renderer sees it
+async function measureModel(filePath) {
+  const io = await getIO();
+  const document = await io.read(filePath);
+  const root = document.getRoot();
+
+  let drawCalls = 0;
+  root.listScenes().forEach(scene => {
+    scene.traverse(node => {
+      drawCalls += node.getMesh() ? node.getMesh().listPrimitives().length : 0;
+    });
+  });
+
+  let largestTexture = 0;
+  let textureMemory = 0;
+  root.listTextures().forEach(texture => {
+    const size = texture.getSize();
+    if (size) {
+      largestTexture = Math.max(largestTexture, size[0], size[1]);
+    }
+    // Decoded size with mipmaps, or the transcoded size for KTX2
+    const image = texture.getImage();
+    textureMemory += (image && ImageUtils.getVRAMByteLength(image, texture.getMimeType())) || 0;
+  });
+
+  return {
+    fileSize: getGltfModelBytes(filePath),
+    triangles: countTriangles(document),
+    textures: root.listTextures().length,
+    largestTexture,
+    drawCalls,
+    textureMemory
+  };
+}
+
+// Limits the metrics exceed, as { limit, label, max, actual, match }
+function findBudgetViolations(metrics, budget) {
+  return Object.entries(budget.limits)
+    .filter(([limit, max]) => metrics[BUDGET_LIMITS[limit].metric] > max)
+    .map(([limit, max]) => ({
+      limit,
+      label: BUDGET_LIMITS[limit].label,
+      max,
+      actual: metrics[BUDGET_LIMITS[limit].metric],
+      match: budget.sources[limit]
+    }));
+}
+
+// Validates and measures a model, then compares it with its budget. Invalid
+// models are not measured and come back with `error` set.
+async function checkModelBudget(filePath, budget) {
+  const result = { filePath, budget, metrics: null, violations: [], withinBudget: false, error: null };
+
+  const validation = validateGltfFile(filePath);
+  if (!validation.valid) {
+    const firstError = validation.issues.find(issue => issue.severity === 'error');
+    result.error = `Invalid model: ${firstError.message}`;
+    return result;
+  }
+
+  try {
+    result.metrics = await measureModel(filePath);
+  } catch (error) {
+    result.error = `Could not measure model: ${error.message}`;
+    return result;
+  }
+
+  result.violations = budget ? findBudgetViolations(result.metrics, budget) : [];
+  result.withinBudget = result.violations.length === 0;
+  return result;
+}
+
+module.exports = {
+  BUDGET_LIMITS,
+  parseByteSize,
+  formatBudgetValue,
+  createBudgetResolver,
+  measureModel,
+  findBudgetViolations,
+  checkModelBudget
+};
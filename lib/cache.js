@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { listGltfResources } = require('./optimize');
+const { describePipeline } = require('./pipeline');
+
+const CACHE_FILE_NAME = '.gltf-optimizer-cache.json';
+const CACHE_VERSION = 1;
+
+// Options that do not change the optimized output and are left out of the hash
+const IGNORED_OPTION_KEYS = ['log', 'logger', 'baseDir', 'outputDir', 'backupOriginal'];
+
+// Hashes a model together with every external buffer and image it references
+function hashModel(filePath) {
+  const hash = crypto.createHash('sha256');
+  hash.update(fs.readFileSync(filePath));
+
+  listGltfResources(filePath)
+    .sort((a, b) => a.uri.localeCompare(b.uri))
+    .forEach(resource => {
+      hash.update(`\0${resource.uri}\0`);
+      if (fs.existsSync(resource.path)) {
+        hash.update(fs.readFileSync(resource.path));
+      }
+    });
+
+  return hash.digest('hex');
+}
+
+// Stable hash of the effective options (key order independent)
+function hashOptions(options = {}) {
+  function normalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(normalize);
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        if (typeof value[key] !== 'function') {
+          acc[key] = normalize(value[key]);
+        }
+        return acc;
+      }, {});
+    }
+    return value;
+  }
+
+  const relevant = { ...options };
+  IGNORED_OPTION_KEYS.forEach(key => delete relevant[key]);
+  // Custom steps count by their source, not just their name or where they live
+  delete relevant.pipelineDir;
+  if (relevant.pipeline) {
+    try {
+      relevant.pipeline = describePipeline(relevant.pipeline, { cwd: options.pipelineDir });
+    } catch (error) {
+      // An invalid pipeline fails in optimizeModel and is never cached
+    }
+  }
+
+  return crypto.createHash('sha256').update(JSON.stringify(normalize(relevant))).digest('hex');
+}
+
+function loadCache(cacheFile) {
+  try {
+    const content = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (content.version === CACHE_VERSION && content.entries) {
+      return { file: cacheFile, version: CACHE_VERSION, entries: content.entries };
+    }
+  } catch (error) {
+    // Missing or unreadable manifest: start from an empty cache
+  }
+  return { file: cacheFile, version: CACHE_VERSION, entries: {} };
+}
+
+function saveCache(cache) {
+  fs.mkdirSync(path.dirname(cache.file), { recursive: true });
+  fs.writeFileSync(cache.file, JSON.stringify({ version: cache.version, entries: cache.entries }, null, 2) + '\n');
+}
+
+function toCacheKey(cache, filePath) {
+  return path.relative(path.dirname(cache.file), filePath).split(path.sep).join('/');
+}
+
+// Returns a "cached" result when the model and options match the manifest
+// entry and the recorded output still exists, otherwise null
+function getCachedResult(cache, filePath, options = {}) {
+  const entry = cache.entries[toCacheKey(cache, filePath)];
+  if (!entry || entry.optionsHash !== hashOptions(options)) {
+    return null;
+  }
+
+  const outputPath = path.resolve(path.dirname(cache.file), entry.output);
+  if (!fs.existsSync(outputPath)) {
+    return null;
+  }
+
+  // In-place runs replace the source, so an unchanged model matches the output hash;
+  // matching the source hash there would mean the unoptimized file was put back
+  const expectedHash = path.resolve(outputPath) === path.resolve(filePath) ? entry.outputHash : entry.sourceHash;
+  let currentHash;
+  try {
+    currentHash = hashModel(filePath);
+  } catch (error) {
+    return null;
+  }
+  if (currentHash !== expectedHash) {
+    return null;
+  }
+
+  return {
+    status: 'cached',
+    inputPath: filePath,
+    outputPath,
+    backupPath: null,
+    originalBytes: entry.originalBytes,
+    optimizedBytes: entry.optimizedBytes,
+    reduction: entry.originalBytes > 0 ? (1 - entry.optimizedBytes / entry.originalBytes) * 100 : 0,
+    steps: [],
+    triangles: entry.triangles || { original: 0, optimized: 0 },
+    lods: (entry.lods || []).map(level => ({ ...level, outputPath: path.resolve(path.dirname(cache.file), level.outputPath) })),
+    textures: entry.textures || [],
+    verification: entry.verification || null,
+    warnings: [],
+    timings: {},
+    error: null
+  };
+}
+
+// Records a successful optimization; `sourceHash` is the hash taken before it ran
+function updateCache(cache, result, sourceHash, options = {}) {
+  // A model converted in place (model.gltf -> model.glb) is found under its new name next time
+  const key = fs.existsSync(result.inputPath) ? result.inputPath : result.outputPath;
+  cache.entries[toCacheKey(cache, key)] = {
+    sourceHash,
+    outputHash: hashModel(result.outputPath),
+    optionsHash: hashOptions(options),
+    output: toCacheKey(cache, result.outputPath),
+    originalBytes: result.originalBytes,
+    optimizedBytes: result.optimizedBytes,
+    triangles: result.triangles,
+    lods: result.lods.map(level => ({ ...level, outputPath: toCacheKey(cache, level.outputPath) })),
+    textures: result.textures,
+    verification: result.verification,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  CACHE_FILE_NAME,
+  hashModel,
+  hashOptions,
+  loadCache,
+  saveCache,
+  getCachedResult,
+  updateCache
+};
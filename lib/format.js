@@ -0,0 +1,116 @@
+const path = require('path');
+const { ImageUtils } = require('@gltf-transform/core');
+
+// 'gltf' writes the JSON with separate .bin and texture files,
+// 'gltf-embedded' a single .gltf with base64 data: URIs
+const OUTPUT_FORMATS = ['glb', 'gltf', 'gltf-embedded'];
+const FORMAT_EXTENSIONS = { glb: '.glb', gltf: '.gltf', 'gltf-embedded': '.gltf' };
+
+const RESOURCE_NAME_PLACEHOLDERS = {
+  buffers: ['name', 'index'],
+  textures: ['name', 'texture', 'index', 'ext']
+};
+
+// Output format of a model: the option, or the format of the input file
+function resolveOutputFormat(outputFormat, inputPath) {
+  if (outputFormat === undefined || outputFormat === null) {
+    return path.extname(inputPath).toLowerCase() === '.glb' ? 'glb' : 'gltf';
+  }
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Unsupported outputFormat: ${outputFormat} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  return outputFormat;
+}
+
+// Same path with the extension of the output format
+function getOutputPath(filePath, format) {
+  const ext = path.extname(filePath);
+  return path.join(path.dirname(filePath), `${path.basename(filePath, ext)}${FORMAT_EXTENSIONS[format]}`);
+}
+
+// { buffers, textures } file name templates for separate .gltf resources, e.g.
+// { buffers: '{name}.bin', textures: 'textures/{name}_{texture}.{ext}' }.
+// A missing template keeps the current names.
+function resolveResourceNames(resourceNames = {}) {
+  if (!resourceNames || typeof resourceNames !== 'object' || Array.isArray(resourceNames)) {
+    throw new Error('resourceNames must be an object: { buffers, textures }');
+  }
+  const resolved = { buffers: null, textures: null };
+  Object.entries(resourceNames).forEach(([key, template]) => {
+    if (!RESOURCE_NAME_PLACEHOLDERS[key]) {
+      throw new Error(`Unknown resourceNames key "${key}" (expected buffers, textures)`);
+    }
+    if (template === null || template === undefined) return;
+    if (typeof template !== 'string' || !template.trim()) {
+      throw new Error(`resourceNames.${key} must be a file name template`);
+    }
+    const unknown = (template.match(/\{(\w+)\}/g) || [])
+      .map(placeholder => placeholder.slice(1, -1))
+      .filter(name => !RESOURCE_NAME_PLACEHOLDERS[key].includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder {${unknown[0]}} in resourceNames.${key} (expected ${RESOURCE_NAME_PLACEHOLDERS[key].map(name => `{${name}}`).join(', ')})`);
+    }
+    // Resources stay next to the model or below it
+    if (path.isAbsolute(template) || template.split(/[\\/]/).includes('..')) {
+      throw new Error(`resourceNames.${key} must be a relative path inside the model's folder (got ${template})`);
+    }
+    resolved[key] = template;
+  });
+  return resolved;
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => String(values[name]));
+}
+
+// Name of a texture for the {texture} placeholder: its file name without the
+// extension, its name, or its position
+function getTextureBaseName(texture, index) {
+  const uri = texture.getURI();
+  if (uri && !uri.startsWith('data:')) {
+    return path.posix.basename(uri).replace(/\.[^.]+$/, '');
+  }
+  return texture.getName() || `texture_${index + 1}`;
+}
+
+// Sets the URIs of the buffers and textures a separate .gltf writes, from the
+// templates of resolveResourceNames(). `name` fills {name}. URIs that would
+// collide get the index of the resource appended.
+function applyResourceNames(document, resourceNames, name) {
+  const used = new Set();
+  function unique(uri, index) {
+    if (used.has(uri)) {
+      const ext = path.posix.extname(uri);
+      uri = `${uri.slice(0, uri.length - ext.length)}_${index + 1}${ext}`;
+    }
+    used.add(uri);
+    return uri;
+  }
+
+  const root = document.getRoot();
+  if (resourceNames.buffers) {
+    root.listBuffers().forEach((buffer, index) => {
+      buffer.setURI(unique(fillTemplate(resourceNames.buffers, { name, index: index + 1 }), index));
+    });
+  }
+  if (resourceNames.textures) {
+    root.listTextures().forEach((texture, index) => {
+      const ext = ImageUtils.mimeTypeToExtension(texture.getMimeType()) || 'bin';
+      texture.setURI(unique(fillTemplate(resourceNames.textures, {
+        name,
+        texture: getTextureBaseName(texture, index),
+        index: index + 1,
+        ext
+      }), index));
+    });
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  FORMAT_EXTENSIONS,
+  resolveOutputFormat,
+  resolveResourceNames,
+  getOutputPath,
+  applyResourceNames
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { ImageUtils, PropertyType } = require('@gltf-transform/core');
+const { getIO, getGltfModelBytes, listGltfResources, readGltfJson } = require('./optimize');
+const { countMeshTriangles } = require('./lod');
+const { listTextureInfo } = require('./textures');
+
+const MESHOPT_EXTENSIONS = ['EXT_meshopt_compression', 'KHR_meshopt_compression'];
+
+function getDataUriBytes(uri) {
+  const commaIndex = uri.indexOf(',');
+  return commaIndex >= 0 ? Buffer.byteLength(uri.slice(commaIndex + 1), 'base64') : 0;
+}
+
+// Length of the GLB JSON chunk, or of a .gltf file without its data: URIs
+function getJsonBytes(filePath, gltf) {
+  if (filePath.endsWith('.glb')) {
+    const header = Buffer.alloc(16);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, header, 0, 16, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return header.readUInt32LE(12);
+  }
+  const embedded = [...(gltf.buffers || []), ...(gltf.images || [])]
+    .filter(item => item.uri && item.uri.startsWith('data:'))
+    .reduce((sum, item) => sum + item.uri.length, 0);
+  return fs.statSync(filePath).size - embedded;
+}
+
+// Stored bytes by content, from the raw JSON: buffer views are attributed to the
+// geometry, textures, animations or skins that use them. Meshopt views count
+// their compressed data. Embedded data: URIs count their decoded size.
+function getByteBreakdown(filePath, gltf) {
+  const breakdown = { json: getJsonBytes(filePath, gltf), geometry: 0, textures: 0, animation: 0, skins: 0, other: 0 };
+  const viewCategories = new Map();
+  const setAccessorCategory = (accessorIndex, category) => {
+    const accessor = (gltf.accessors || [])[accessorIndex];
+    if (accessor && accessor.bufferView !== undefined && !viewCategories.has(accessor.bufferView)) {
+      viewCategories.set(accessor.bufferView, category);
+    }
+  };
+
+  (gltf.meshes || []).forEach(mesh => (mesh.primitives || []).forEach(prim => {
+    Object.values(prim.attributes || {}).forEach(index => setAccessorCategory(index, 'geometry'));
+    (prim.targets || []).forEach(target => Object.values(target).forEach(index => setAccessorCategory(index, 'geometry')));
+    if (prim.indices !== undefined) setAccessorCategory(prim.indices, 'geometry');
+    const draco = prim.extensions && prim.extensions.KHR_draco_mesh_compression;
+    if (draco && !viewCategories.has(draco.bufferView)) viewCategories.set(draco.bufferView, 'geometry');
+  }));
+  (gltf.nodes || []).forEach(node => {
+    const instancing = node.extensions && node.extensions.EXT_mesh_gpu_instancing;
+    Object.values((instancing && instancing.attributes) || {}).forEach(index => setAccessorCategory(index, 'geometry'));
+  });
+  (gltf.animations || []).forEach(animation => (animation.samplers || []).forEach(sampler => {
+    setAccessorCategory(sampler.input, 'animation');
+    setAccessorCategory(sampler.output, 'animation');
+  }));
+  (gltf.skins || []).forEach(skin => {
+    if (skin.inverseBindMatrices !== undefined) setAccessorCategory(skin.inverseBindMatrices, 'skins');
+  });
+  (gltf.images || []).forEach(image => {
+    if (image.bufferView !== undefined) viewCategories.set(image.bufferView, 'textures');
+  });
+
+  // Buffers holding data, without the empty fallback buffers of meshopt
+  const bufferBytes = (gltf.buffers || [])
+    .filter(buffer => !MESHOPT_EXTENSIONS.some(name => buffer.extensions && buffer.extensions[name] && buffer.extensions[name].fallback))
+    .reduce((sum, buffer) => sum + (buffer.byteLength || 0), 0);
+
+  let assigned = 0;
+  (gltf.bufferViews || []).forEach((view, index) => {
+    const meshopt = MESHOPT_EXTENSIONS.map(name => view.extensions && view.extensions[name]).find(Boolean);
+    const bytes = meshopt ? meshopt.byteLength : view.byteLength;
+    const category = viewCategories.get(index) || 'other';
+    breakdown[category] += bytes;
+    assigned += bytes;
+  });
+  breakdown.other += Math.max(0, bufferBytes - assigned); // Padding and unreferenced data
+
+  // Images stored outside the buffers
+  const dir = path.dirname(filePath);
+  (gltf.images || []).forEach(image => {
+    if (!image.uri) return;
+    if (image.uri.startsWith('data:')) {
+      breakdown.textures += getDataUriBytes(image.uri);
+      return;
+    }
+    const imagePath = path.resolve(dir, decodeURIComponent(image.uri));
+    breakdown.textures += fs.existsSync(imagePath) ? fs.statSync(imagePath).size : 0;
+  });
+
+  return breakdown;
+}
+
+function getAccessorBytes(accessor) {
+  return accessor ? accessor.getArray().byteLength : 0;
+}
+
+// Unique accessors of a mesh (attributes, indices and morph targets)
+function listMeshAccessors(mesh) {
+  const accessors = new Set();
+  mesh.listPrimitives().forEach(prim => {
+    prim.listAttributes().forEach(accessor => accessors.add(accessor));
+    prim.listTargets().forEach(target => target.listAttributes().forEach(accessor => accessors.add(accessor)));
+    if (prim.getIndices()) accessors.add(prim.getIndices());
+  });
+  return [...accessors];
+}
+
+function listMaterials(property) {
+  return property.listParents().filter(parent => parent.propertyType === PropertyType.MATERIAL);
+}
+
+// Detailed breakdown of a model: counts, meshes, textures, materials,
+// animations, skins, extensions and the files and content taking up the bytes
+async function inspectModel(filePath) {
+  const io = await getIO();
+  const document = await io.read(filePath);
+  const gltf = readGltfJson(filePath);
+  const root = document.getRoot();
+
+  const meshInstances = new Map();
+  let triangles = 0;
+  let drawCalls = 0;
+  root.listScenes().forEach(scene => {
+    scene.traverse(node => {
+      const mesh = node.getMesh();
+      if (!mesh) return;
+      meshInstances.set(mesh, (meshInstances.get(mesh) || 0) + 1);
+      triangles += countMeshTriangles(mesh);
+      drawCalls += mesh.listPrimitives().length;
+    });
+  });
+
+  const meshes = root.listMeshes().map((mesh, index) => {
+    const primitives = mesh.listPrimitives();
+    return {
+      name: mesh.getName() || `mesh ${index + 1}`,
+      primitives: primitives.length,
+      vertices: primitives.reduce((sum, prim) => sum + (prim.getAttribute('POSITION') ? prim.getAttribute('POSITION').getCount() : 0), 0),
+      triangles: countMeshTriangles(mesh),
+      instances: meshInstances.get(mesh) || 0,
+      attributes: [...new Set(primitives.flatMap(prim => prim.listSemantics()))],
+      materials: [...new Set(primitives.map(prim => prim.getMaterial()).filter(Boolean).map(material => material.getName() || 'unnamed'))],
+      morphTargets: Math.max(0, ...primitives.map(prim => prim.listTargets().length)),
+      bytes: listMeshAccessors(mesh).reduce((sum, accessor) => sum + getAccessorBytes(accessor), 0)
+    };
+  });
+
+  const textureInfo = listTextureInfo(document);
+  const textures = root.listTextures().map(texture => {
+    const info = textureInfo.get(texture);
+    const image = texture.getImage();
+    return {
+      name: info.name,
+      uri: texture.getURI() || null,
+      mimeType: info.mimeType,
+      width: info.width,
+      height: info.height,
+      bytes: image ? image.byteLength : 0,
+      gpuBytes: (image && ImageUtils.getVRAMByteLength(image, info.mimeType)) || 0,
+      slots: info.slots,
+      materials: listMaterials(texture).map(material => material.getName() || 'unnamed')
+    };
+  });
+
+  const materials = root.listMaterials().map((material, index) => ({
+    name: material.getName() || `material ${index + 1}`,
+    alphaMode: material.getAlphaMode(),
+    doubleSided: material.getDoubleSided(),
+    textures: root.listTextures().filter(texture => listMaterials(texture).includes(material)).map(texture => textureInfo.get(texture).name),
+    extensions: material.listExtensions().map(extension => extension.extensionName),
+    primitives: material.listParents().filter(parent => parent.propertyType === PropertyType.PRIMITIVE).length
+  }));
+
+  const animations = root.listAnimations().map((animation, index) => {
+    const samplers = animation.listSamplers();
+    const accessors = new Set(samplers.flatMap(sampler => [sampler.getInput(), sampler.getOutput()]).filter(Boolean));
+    return {
+      name: animation.getName() || `animation ${index + 1}`,
+      channels: animation.listChannels().length,
+      samplers: samplers.length,
+      duration: Math.max(0, ...samplers.map(sampler => (sampler.getInput() ? sampler.getInput().getMax([])[0] : 0))),
+      targetPaths: [...new Set(animation.listChannels().map(channel => channel.getTargetPath()))],
+      bytes: [...accessors].reduce((sum, accessor) => sum + getAccessorBytes(accessor), 0)
+    };
+  });
+
+  const skins = root.listSkins().map((skin, index) => ({
+    name: skin.getName() || `skin ${index + 1}`,
+    joints: skin.listJoints().length
+  }));
+
+  const files = [
+    { path: filePath, type: filePath.endsWith('.glb') ? 'glb' : 'gltf', bytes: fs.statSync(filePath).size },
+    ...listGltfResources(filePath).map(resource => ({
+      path: resource.path,
+      type: resource.type,
+      bytes: fs.existsSync(resource.path) ? fs.statSync(resource.path).size : 0
+    }))
+  ];
+
+  return {
+    filePath,
+    format: filePath.endsWith('.glb') ? 'glb' : 'gltf',
+    generator: (gltf.asset && gltf.asset.generator) || null,
+    totalBytes: getGltfModelBytes(filePath),
+    counts: {
+      scenes: root.listScenes().length,
+      nodes: root.listNodes().length,
+      meshes: meshes.length,
+      primitives: meshes.reduce((sum, mesh) => sum + mesh.primitives, 0),
+      vertices: meshes.reduce((sum, mesh) => sum + mesh.vertices, 0),
+      triangles,
+      drawCalls,
+      materials: materials.length,
+      textures: textures.length,
+      animations: animations.length,
+      skins: skins.length
+    },
+    extensions: {
+      used: gltf.extensionsUsed || [],
+      required: gltf.extensionsRequired || []
+    },
+    breakdown: getByteBreakdown(filePath, gltf),
+    files,
+    meshes,
+    textures,
+    materials,
+    animations,
+    skins
+  };
+}
+
+module.exports = {
+  inspectModel
+};
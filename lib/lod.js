@@ -0,0 +1,251 @@
+const { Extension, ExtensionProperty, PropertyType, RefList } = require('@gltf-transform/core');
+const {
+  cloneDocument, copyToDocument, dedup, simplify, getPrimitiveVertexCount, VertexCountMethod
+} = require('@gltf-transform/functions');
+const { MeshoptSimplifier } = require('meshoptimizer');
+
+const MSFT_LOD = 'MSFT_lod';
+
+// Accepted values of lod.output
+const LOD_OUTPUTS = ['files', 'msft_lod'];
+
+const SIMPLIFY_DEFAULTS = { ratio: 0.5, error: 0.01, lockBorder: false };
+const LOD_DEFAULTS = { levels: [0.5, 0.25], error: 0.01, lockBorder: false, output: 'files', screenCoverage: null };
+
+// Lower levels of detail of a node, stored in the MSFT_lod extension
+class Lod extends ExtensionProperty {
+  init() {
+    this.extensionName = MSFT_LOD;
+    this.propertyType = 'Lod';
+    this.parentTypes = [PropertyType.NODE];
+  }
+
+  getDefaults() {
+    return Object.assign(super.getDefaults(), { lods: new RefList() });
+  }
+
+  listLODs() {
+    return this.listRefs('lods');
+  }
+
+  addLOD(node) {
+    return this.addRef('lods', node);
+  }
+
+  removeLOD(node) {
+    return this.removeRef('lods', node);
+  }
+}
+Lod.EXTENSION_NAME = MSFT_LOD;
+
+// MSFT_lod: a node lists the nodes to render instead of it at lower levels of
+// detail. The LOD nodes are not part of the scene, the extension keeps them alive.
+class MSFTLod extends Extension {
+  constructor(...args) {
+    super(...args);
+    this.extensionName = MSFT_LOD;
+  }
+
+  createLOD(name = '') {
+    return new Lod(this.document.getGraph(), name);
+  }
+
+  read(context) {
+    const nodeDefs = context.jsonDoc.json.nodes || [];
+    nodeDefs.forEach((nodeDef, nodeIndex) => {
+      if (!nodeDef.extensions || !nodeDef.extensions[MSFT_LOD]) return;
+      const lod = this.createLOD();
+      (nodeDef.extensions[MSFT_LOD].ids || []).forEach(id => lod.addLOD(context.nodes[id]));
+      context.nodes[nodeIndex].setExtension(MSFT_LOD, lod);
+    });
+    return this;
+  }
+
+  write(context) {
+    const nodeDefs = context.jsonDoc.json.nodes || [];
+    this.document.getRoot().listNodes().forEach(node => {
+      const lod = node.getExtension(MSFT_LOD);
+      if (!lod) return;
+      const nodeDef = nodeDefs[context.nodeIndexMap.get(node)];
+      nodeDef.extensions = nodeDef.extensions || {};
+      nodeDef.extensions[MSFT_LOD] = { ids: lod.listLODs().map(lodNode => context.nodeIndexMap.get(lodNode)) };
+    });
+    return this;
+  }
+}
+MSFTLod.EXTENSION_NAME = MSFT_LOD;
+
+function countPrimitiveTriangles(prim) {
+  const count = getPrimitiveVertexCount(prim, VertexCountMethod.RENDER);
+  switch (prim.getMode()) {
+    case 4: // TRIANGLES
+      return Math.floor(count / 3);
+    case 5: // TRIANGLE_STRIP
+    case 6: // TRIANGLE_FAN
+      return Math.max(0, count - 2);
+    default:
+      return 0;
+  }
+}
+
+function countMeshTriangles(mesh) {
+  return mesh ? mesh.listPrimitives().reduce((sum, prim) => sum + countPrimitiveTriangles(prim), 0) : 0;
+}
+
+// Triangles drawn by the scenes of a document (a mesh used by two nodes counts twice)
+function countTriangles(document) {
+  let triangles = 0;
+  document.getRoot().listScenes().forEach(scene => {
+    scene.traverse(node => {
+      triangles += countMeshTriangles(node.getMesh());
+    });
+  });
+  return triangles;
+}
+
+function checkRatio(ratio, name) {
+  if (!(ratio > 0 && ratio <= 1)) {
+    throw new Error(`${name} must be between 0 and 1 (got ${ratio})`);
+  }
+  return ratio;
+}
+
+// simplify: false | true | { ratio, error, lockBorder }
+function resolveSimplifyOptions(simplifyOption) {
+  if (!simplifyOption) {
+    return null;
+  }
+  const options = { ...SIMPLIFY_DEFAULTS, ...(simplifyOption === true ? {} : simplifyOption) };
+  checkRatio(options.ratio, 'simplify.ratio');
+  return options;
+}
+
+// lod: false | true | { levels: [0.5, { ratio: 0.25, error: 0.05 }], error, lockBorder, output, screenCoverage }
+function resolveLodOptions(lodOption) {
+  if (!lodOption) {
+    return null;
+  }
+  const options = { ...LOD_DEFAULTS, ...(lodOption === true ? {} : lodOption) };
+  if (!LOD_OUTPUTS.includes(options.output)) {
+    throw new Error(`Unsupported lod.output: ${options.output} (expected ${LOD_OUTPUTS.join(', ')})`);
+  }
+  if (!Array.isArray(options.levels) || options.levels.length === 0) {
+    throw new Error('lod.levels must list at least one simplification ratio');
+  }
+
+  const levels = options.levels.map((level, index) => {
+    const { ratio, error = options.error } = typeof level === 'number' ? { ratio: level } : level;
+    return { ratio: checkRatio(ratio, `lod.levels[${index}]`), error };
+  });
+
+  if (options.screenCoverage && options.screenCoverage.length !== levels.length + 1) {
+    throw new Error(`lod.screenCoverage needs ${levels.length + 1} values, one per level including the full-detail one`);
+  }
+
+  return { ...options, levels };
+}
+
+function createSimplifyTransform({ ratio, error, lockBorder }) {
+  return simplify({ simplifier: MeshoptSimplifier, ratio, error, lockBorder });
+}
+
+async function simplifyDocument(document, options) {
+  await MeshoptSimplifier.ready;
+  await document.transform(createSimplifyTransform(options));
+}
+
+// One simplified copy of the document per level, for lod.output 'files'
+async function buildLodDocuments(document, { levels, lockBorder }) {
+  await MeshoptSimplifier.ready;
+  const lodDocuments = [];
+  for (const [index, level] of levels.entries()) {
+    const lodDocument = cloneDocument(document);
+    await lodDocument.transform(createSimplifyTransform({ ...level, lockBorder }));
+    lodDocuments.push({ level: index + 1, ...level, document: lodDocument, triangles: countTriangles(lodDocument) });
+  }
+  return lodDocuments;
+}
+
+// Adds the simplified levels to the document itself with MSFT_lod, for lod.output
+// 'msft_lod'. Returns the triangle count of every level, full detail included.
+async function embedLods(document, { levels, lockBorder, screenCoverage }) {
+  await MeshoptSimplifier.ready;
+  const root = document.getRoot();
+  const meshes = root.listMeshes();
+  const buffers = root.listBuffers();
+  const meshNodes = root.listNodes().filter(node => node.getMesh() && !node.getExtension(MSFT_LOD));
+
+  // Simplify every level from the untouched document before merging any of them
+  const lodDocuments = [];
+  for (const level of levels) {
+    const lodDocument = cloneDocument(document);
+    const lodRoot = lodDocument.getRoot();
+    const lodMeshes = lodRoot.listMeshes();
+    const lodBuffers = lodRoot.listBuffers();
+    await lodDocument.transform(createSimplifyTransform({ ...level, lockBorder }));
+    lodDocuments.push({ lodDocument, lodMeshes, lodBuffers });
+  }
+
+  // Copy the simplified meshes back; they reuse the existing buffers, and
+  // duplicated materials and textures are merged with the originals
+  const levelMeshes = lodDocuments.map(({ lodDocument, lodMeshes, lodBuffers }) => {
+    const kept = lodMeshes.filter(mesh => !mesh.isDisposed());
+    const copies = copyToDocument(document, lodDocument, kept);
+    lodBuffers.forEach((lodBuffer, index) => {
+      const copy = copies.get(lodBuffer);
+      if (!copy) return;
+      root.listAccessors().forEach(accessor => {
+        if (accessor.getBuffer() === copy) accessor.setBuffer(buffers[index]);
+      });
+      copy.dispose();
+    });
+    return new Map(meshes.map((mesh, index) => [mesh, copies.get(lodMeshes[index]) || null]));
+  });
+  await document.transform(dedup({ propertyTypes: [PropertyType.TEXTURE, PropertyType.MATERIAL] }));
+
+  const lodExtension = document.createExtension(MSFTLod);
+  const triangles = new Array(levels.length + 1).fill(0);
+
+  meshNodes.forEach(node => {
+    const lod = lodExtension.createLOD();
+    triangles[0] += countMeshTriangles(node.getMesh());
+
+    levelMeshes.forEach((lodMeshes, index) => {
+      // A mesh simplified away entirely becomes an empty node: nothing is drawn at that level
+      const lodMesh = lodMeshes.get(node.getMesh());
+      const lodNode = document.createNode(`${node.getName() || 'node'}_LOD${index + 1}`)
+        .setMesh(lodMesh)
+        .setTranslation(node.getTranslation())
+        .setRotation(node.getRotation())
+        .setScale(node.getScale())
+        .setSkin(node.getSkin());
+      lod.addLOD(lodNode);
+      triangles[index + 1] += countMeshTriangles(lodMesh);
+    });
+
+    node.setExtension(MSFT_LOD, lod);
+    if (screenCoverage) {
+      node.setExtras({ ...node.getExtras(), MSFT_screencoverage: screenCoverage });
+    }
+  });
+
+  if (meshNodes.length === 0) {
+    lodExtension.dispose();
+  }
+
+  return triangles;
+}
+
+module.exports = {
+  MSFT_LOD,
+  MSFTLod,
+  LOD_OUTPUTS,
+  countTriangles,
+  countMeshTriangles,
+  countPrimitiveTriangles,
+  resolveSimplifyOptions,
+  resolveLodOptions,
+  simplifyDocument,
+  buildLodDocuments,
+  embedLods
+};
@@ -0,0 +1,163 @@
+// Logger shared by the library and the CLI. Every message becomes an entry
+// { time, level, message, ...fields } (fields such as model and step), written
+// as colored lines for people or as JSON lines for log pipelines, or handed to
+// a custom sink.
+
+const { Console } = require('console');
+
+// Colors for pretty output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[36m',
+  red: '\x1b[31m'
+};
+
+// Log levels, from quietest to most detailed
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['pretty', 'json'];
+
+// Level of a message logged without one: red lines are errors, yellow lines
+// starting with ⚠️ warnings, the rest (sizes, hints...) info
+function getDefaultLevel(message, color) {
+  if (color === 'red') return 'error';
+  if (color === 'yellow' && String(message).trim().startsWith('⚠️')) return 'warn';
+  return 'info';
+}
+
+function createProgressBar(total, current, width = 30) {
+  const percentage = (current / total) * 100;
+  const filled = Math.round((width * current) / total);
+  const empty = width - filled;
+
+  const bar = '█'.repeat(filled) + '░'.repeat(empty);
+  return `[${bar}] ${percentage.toFixed(1)}% (${current}/${total})`;
+}
+
+// Colors only go to terminals, unless NO_COLOR is set (https://no-color.org).
+// FORCE_COLOR turns them on for terminals we cannot detect, e.g. CI logs.
+function supportsColor(stream = process.stdout) {
+  if (process.env.NO_COLOR) return false;
+  if (process.env.FORCE_COLOR && process.env.FORCE_COLOR !== '0') return true;
+  return Boolean(stream && stream.isTTY);
+}
+
+function formatPretty(entry, useColor) {
+  let message = entry.message;
+  if (entry.event === 'progress') {
+    message = `${createProgressBar(entry.total, entry.current)} ${message}`.trimEnd();
+  }
+  return useColor ? `${colors[entry.color] || ''}${message}${colors.reset}` : message;
+}
+
+// One JSON object per line. Leading and trailing blank lines of a message and
+// separator lines only make sense on a terminal and are left out.
+function formatJson(entry) {
+  const message = entry.message.trim();
+  if (entry.event !== 'progress' && /^[=\-\s]*$/.test(message)) {
+    return null;
+  }
+  const { color, ...fields } = entry;
+  return JSON.stringify({ ...fields, message });
+}
+
+function buildLogger(emit, level, baseFields) {
+  function isLevelEnabled(entryLevel) {
+    return entryLevel !== 'silent' && LOG_LEVELS.indexOf(entryLevel) <= LOG_LEVELS.indexOf(level);
+  }
+
+  // Writes a complete entry, e.g. one buffered by another logger
+  function write(entry) {
+    if (isLevelEnabled(entry.level)) {
+      emit(entry);
+    }
+  }
+
+  const logger = {
+    level,
+    isLevelEnabled,
+    write,
+    // (message, color, level, fields): the signature of the log() helper
+    log(message, color = 'reset', entryLevel = getDefaultLevel(message, color), fields = {}) {
+      if (!isLevelEnabled(entryLevel)) return;
+      emit({ time: new Date().toISOString(), level: entryLevel, message: String(message), ...baseFields, ...fields, color });
+    },
+    error: (message, fields) => logger.log(message, 'red', 'error', fields),
+    warn: (message, fields) => logger.log(message, 'yellow', 'warn', fields),
+    info: (message, fields) => logger.log(message, 'reset', 'info', fields),
+    debug: (message, fields) => logger.log(message, 'reset', 'debug', fields),
+    // Progress of a batch or of the steps of a model: { current, total, message, ...fields }
+    progress({ current, total, message = '', ...fields }, entryLevel = 'info') {
+      logger.log(message, 'blue', entryLevel, { ...fields, event: 'progress', current, total });
+    },
+    // Same output and level, with fields added to every entry (e.g. { model })
+    child: fields => buildLogger(emit, level, { ...baseFields, ...fields })
+  };
+  return logger;
+}
+
+// Creates a logger. `level` is one of LOG_LEVELS; `format` 'pretty' (colored
+// lines) or 'json' (JSON lines); `stream` where lines are written; `color`
+// defaults to supportsColor(stream). A `sink` function receives every entry
+// instead of the stream, e.g. to route messages to another logging library.
+// `fields` are added to every entry.
+function createLogger(settings = {}) {
+  const {
+    level = 'info',
+    format = 'pretty',
+    stream = process.stdout,
+    color = supportsColor(stream),
+    sink = null,
+    fields = {}
+  } = settings;
+
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level: ${level} (expected ${LOG_LEVELS.join(', ')})`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format: ${format} (expected ${LOG_FORMATS.join(', ')})`);
+  }
+  if (sink !== null && typeof sink !== 'function') {
+    throw new Error('Logger sink must be a function receiving each entry');
+  }
+
+  // A Console ignores write errors on the stream like console.log does, e.g.
+  // when the output is piped into `head`
+  const output = sink ? null : new Console({ stdout: stream, stderr: stream });
+  const emit = sink || (entry => {
+    const line = format === 'json' ? formatJson(entry) : formatPretty(entry, color);
+    if (line !== null) {
+      output.log(line);
+    }
+  });
+  return buildLogger(emit, level, fields);
+}
+
+// Logger used by log() and by optimizeModel when no `logger` option is given
+let defaultLogger = createLogger();
+
+function setLogger(logger) {
+  defaultLogger = logger;
+}
+
+function getLogger() {
+  return defaultLogger;
+}
+
+function log(message, color = 'reset', level, fields) {
+  defaultLogger.log(message, color, level, fields);
+}
+
+module.exports = {
+  colors,
+  LOG_LEVELS,
+  LOG_FORMATS,
+  createProgressBar,
+  supportsColor,
+  createLogger,
+  setLogger,
+  getLogger,
+  log
+};
@@ -1,40 +1,179 @@
+const { colors, createProgressBar, createLogger, getLogger, log } = require('./logger');
+
 // Configuration defaults (can be overridden in function calls)
 const COMPRESS_DRACO = true;
 const RESIZE_TEXTURES = true;
 const MAX_TEXTURE_SIZE = 1024;
 
-// Colors for logging
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[36m',
-  red: '\x1b[31m'
-};
+// Accepted values of the geometryCompression option
+const GEOMETRY_COMPRESSION_METHODS = ['draco', 'meshopt', 'quantize', 'none'];
 
-function log(message, color = 'reset') {
-  console.log(`${colors[color]}${message}${colors.reset}`);
+// Size in MB of a file, or of a Buffer
+function getFileSize(file) {
+  const fs = require('fs');
+  const size = typeof file === 'string' ? fs.statSync(file).size : file.byteLength;
+  return (size / (1024 * 1024)).toFixed(2);
 }
 
-function createProgressBar(total, current, width = 30) {
-  const percentage = (current / total) * 100;
-  const filled = Math.round((width * current) / total);
-  const empty = width - filled;
+function formatSize(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(2);
+}
 
-  const bar = '█'.repeat(filled) + '░'.repeat(empty);
-  return `[${bar}] ${percentage.toFixed(1)}% (${current}/${total})`;
+// Size with a unit suited to its magnitude, e.g. "512 B", "12.4 KB", "3.20 MB"
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${formatSize(bytes)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
 }
 
-function getFileSize(filePath) {
-  const fs = require('fs');
-  const stats = fs.statSync(filePath);
-  return (stats.size / (1024 * 1024)).toFixed(2);
+// Percent-decodes a resource URI, keeping malformed ones as they are
+function decodeUri(uri) {
+  try {
+    return decodeURIComponent(uri);
+  } catch (error) {
+    return uri; // Keep malformed escapes as-is
+  }
 }
 
-function getGltfModelSize(filePath) {
+function isGlbData(data) {
+  return data.byteLength >= 4 && Buffer.from(data.buffer, data.byteOffset, 4).toString('utf8') === 'glTF';
+}
+
+function isMemoryModel(model) {
+  return Boolean(model) && typeof model === 'object' && Buffer.isBuffer(model.data) && model.resources instanceof Map;
+}
+
+// Models held in memory: a GLB or .gltf JSON Buffer (or Uint8Array,
+// ArrayBuffer), or { json, resources } with the .gltf JSON (object, string or
+// Buffer) and the files it references by URI (object or Map of Buffers).
+// Returns { format: 'glb' | 'gltf', data, resources: Map of decoded URI -> Buffer }.
+function toMemoryModel(model) {
+  if (isMemoryModel(model)) {
+    return model;
+  }
+  if (model instanceof ArrayBuffer) {
+    model = new Uint8Array(model);
+  }
+  if (model instanceof Uint8Array) {
+    const data = Buffer.from(model.buffer, model.byteOffset, model.byteLength);
+    return { format: isGlbData(data) ? 'glb' : 'gltf', data, resources: new Map() };
+  }
+  if (model && typeof model === 'object' && model.json !== undefined) {
+    const { json, resources = {} } = model;
+    const data = typeof json === 'string' || json instanceof Uint8Array ? Buffer.from(json) : Buffer.from(JSON.stringify(json));
+    const entries = resources instanceof Map ? [...resources] : Object.entries(resources);
+    return {
+      format: 'gltf',
+      data,
+      resources: new Map(entries.map(([uri, value]) => [decodeUri(uri), Buffer.isBuffer(value) ? value : Buffer.from(value)]))
+    };
+  }
+  throw new TypeError('Expected a file path, a GLB or .gltf Buffer, or { json, resources }');
+}
+
+// Reads the glTF JSON of a .gltf file or the JSON chunk of a .glb file, from
+// disk or from a model held in memory (see toMemoryModel)
+function readGltfJson(model) {
   const fs = require('fs');
+
+  const memoryModel = typeof model === 'string' ? null : toMemoryModel(model);
+  const isGlb = memoryModel ? memoryModel.format === 'glb' : model.endsWith('.glb');
+  const content = memoryModel ? memoryModel.data : fs.readFileSync(model);
+
+  if (isGlb) {
+    if (content.length < 20 || content.toString('utf8', 0, 4) !== 'glTF') {
+      throw new Error('Invalid GLB header');
+    }
+    const chunkLength = content.readUInt32LE(12);
+    if (content.toString('utf8', 16, 20) !== 'JSON') {
+      throw new Error('GLB without JSON chunk');
+    }
+    return JSON.parse(content.toString('utf8', 20, 20 + chunkLength));
+  }
+
+  return JSON.parse(content.toString('utf8'));
+}
+
+// Reads a model held in memory into a Document
+async function readMemoryModel(io, model) {
+  // gltf-transform reads typed arrays over the data, which needs 4-byte
+  // alignment: slices of a larger buffer (e.g. an upload) are copied
+  const aligned = data => data.byteOffset % 4 === 0 ? data : new Uint8Array(data);
+  const memoryModel = toMemoryModel(model);
+  if (memoryModel.format === 'glb') {
+    return io.readBinary(aligned(memoryModel.data));
+  }
+  const resources = {};
+  listGltfResources(memoryModel).forEach(resource => {
+    if (resource.data) resources[resource.uri] = aligned(resource.data);
+  });
+  return io.readJSON({ json: readGltfJson(memoryModel), resources });
+}
+
+// Lists the external files (buffers and images) referenced by a model.
+// Embedded data: URIs and remote URLs are skipped, URIs are percent-decoded.
+// For a model held in memory, `path` is null and `data` the Buffer of the
+// resource (null when missing).
+function listGltfResources(model) {
+  const path = require('path');
+
+  let gltf;
+  try {
+    gltf = readGltfJson(model);
+  } catch (error) {
+    return [];
+  }
+
+  const memoryModel = typeof model === 'string' ? null : toMemoryModel(model);
+  const resources = [];
+  const seen = new Set();
+
+  const entries = [
+    ...(gltf.buffers || []).map(buffer => ({ type: 'buffer', uri: buffer.uri })),
+    ...(gltf.images || []).map(image => ({ type: 'image', uri: image.uri }))
+  ];
+
+  entries.forEach(({ type, uri }) => {
+    if (!uri || uri.startsWith('data:') || /^[a-z][a-z0-9+.-]*:\/\//i.test(uri)) {
+      return;
+    }
+
+    const decodedUri = decodeUri(uri);
+    if (memoryModel) {
+      if (!seen.has(decodedUri)) {
+        seen.add(decodedUri);
+        resources.push({ type, uri, path: null, data: memoryModel.resources.get(decodedUri) || null });
+      }
+      return;
+    }
+
+    const resourcePath = path.resolve(path.dirname(model), decodedUri);
+    if (!seen.has(resourcePath)) {
+      seen.add(resourcePath);
+      resources.push({ type, uri, path: resourcePath });
+    }
+  });
+
+  return resources;
+}
+
+// Backup location of a model or resource file: "name.ext" -> "name-original.ext"
+function getBackupPath(filePath) {
   const path = require('path');
+  const ext = path.extname(filePath);
+  return path.join(path.dirname(filePath), `${path.basename(filePath, ext)}-original${ext}`);
+}
+
+// Bytes of a model and every external buffer and image it references. Takes a
+// file path or a model held in memory (see toMemoryModel).
+function getGltfModelBytes(filePath) {
+  const fs = require('fs');
+
+  if (typeof filePath !== 'string') {
+    const memoryModel = toMemoryModel(filePath);
+    return listGltfResources(memoryModel)
+      .reduce((sum, resource) => sum + (resource.data ? resource.data.byteLength : 0), memoryModel.data.byteLength);
+  }
 
   let totalSize = 0;
 
@@ -43,31 +182,53 @@ function getGltfModelSize(filePath) {
     totalSize += fs.statSync(filePath).size;
   }
 
-  // Size of associated .bin file (for external GLTF models)
-  if (filePath.endsWith('.gltf')) {
-    const dir = path.dirname(filePath);
-    const baseName = path.basename(filePath, '.gltf');
-
-    // Look for potential .bin files
-    const possibleBinFiles = [
-      path.join(dir, baseName + '.bin'),
-      path.join(dir, 'scene.bin'), // Common case
-    ];
-
-    for (const binFile of possibleBinFiles) {
-      if (fs.existsSync(binFile)) {
-        totalSize += fs.statSync(binFile).size;
-        break; // Prendre le premier trouvé
-      }
+  // Size of every external buffer and image the model references
+  listGltfResources(filePath).forEach(resource => {
+    if (fs.existsSync(resource.path)) {
+      totalSize += fs.statSync(resource.path).size;
     }
-  }
+  });
+
+  return totalSize;
+}
+
+function getGltfModelSize(filePath) {
+  return formatSize(getGltfModelBytes(filePath));
+}
 
-  return (totalSize / (1024 * 1024)).toFixed(2);
+// Default discovery patterns, used when no pattern list is configured
+const DEFAULT_INCLUDE_PATTERNS = ['**/*.gltf', '**/*.glb'];
+
+// Include/exclude matching shared by discovery and the watcher. Patterns are
+// matched against paths relative to `dir`, with forward slashes.
+function createModelMatcher(dir, options = {}) {
+  const path = require('path');
+  const picomatch = require('picomatch');
+
+  const {
+    includePatterns = DEFAULT_INCLUDE_PATTERNS,
+    excludePatterns = []
+  } = options;
+
+  const isIncluded = picomatch(includePatterns.length > 0 ? includePatterns : DEFAULT_INCLUDE_PATTERNS, { dot: true });
+  const isExcludedPath = excludePatterns.length > 0 ? picomatch(excludePatterns, { dot: true }) : () => false;
+  const toRelative = fullPath => path.relative(dir, fullPath).split(path.sep).join('/');
+
+  return {
+    isExcluded: fullPath => isExcludedPath(toRelative(fullPath)),
+    isModel: fullPath => {
+      const relativePath = toRelative(fullPath);
+      return (fullPath.endsWith('.gltf') || fullPath.endsWith('.glb'))
+        && isIncluded(relativePath) && !isExcludedPath(relativePath);
+    }
+  };
 }
 
-function findGltfFiles(dir) {
+function findGltfFiles(dir, options = {}) {
   const fs = require('fs');
   const path = require('path');
+
+  const matcher = createModelMatcher(dir, options);
   const files = [];
 
   function traverse(currentPath) {
@@ -78,8 +239,11 @@ function findGltfFiles(dir) {
       const stat = fs.statSync(fullPath);
 
       if (stat.isDirectory()) {
-        traverse(fullPath);
-      } else if (item.endsWith('.gltf') || item.endsWith('.glb')) {
+        // Skip excluded folders (e.g. node_modules) without walking them
+        if (!matcher.isExcluded(fullPath)) {
+          traverse(fullPath);
+        }
+      } else if (matcher.isModel(fullPath)) {
         files.push(fullPath);
       }
     });
@@ -89,31 +253,39 @@ function findGltfFiles(dir) {
   return files;
 }
 
+// Validates a model file, or a model held in memory (see toMemoryModel), whose
+// format is then told by the GLB magic number
 function validateGltfModel(filePath) {
   const fs = require('fs');
-  const path = require('path');
 
   try {
+    let gltf = null;
+    let binChunk = null;
+
+    const memoryModel = typeof filePath === 'string' ? null : toMemoryModel(filePath);
+
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!memoryModel && !fs.existsSync(filePath)) {
       return { valid: false, error: 'File not found' };
     }
 
-    const stats = fs.statSync(filePath);
-    if (stats.size === 0) {
+    const size = memoryModel ? memoryModel.data.byteLength : fs.statSync(filePath).size;
+    if (size === 0) {
       return { valid: false, error: 'Empty file' };
     }
 
+    const isGlb = memoryModel ? memoryModel.format === 'glb' : filePath.endsWith('.glb');
+    const isGltf = memoryModel ? !isGlb : filePath.endsWith('.gltf');
+
     // For .gltf files, check basic JSON structure
-    if (filePath.endsWith('.gltf')) {
+    if (isGltf) {
       try {
-        const content = fs.readFileSync(filePath, 'utf8');
+        const content = memoryModel ? memoryModel.data.toString('utf8') : fs.readFileSync(filePath, 'utf8');
 
         // Check if it's valid JSON
-        JSON.parse(content);
+        gltf = JSON.parse(content);
 
         // Check for required fields
-        const gltf = JSON.parse(content);
         if (!gltf.asset || !gltf.asset.version) {
           return { valid: false, error: 'Invalid GLTF structure (asset.version missing)' };
         }
@@ -124,26 +296,15 @@ function validateGltfModel(filePath) {
           return { valid: false, error: `Unsupported GLTF version: ${version}` };
         }
 
-        // Check if referenced binary file exists
-        if (gltf.buffers && gltf.buffers.length > 0) {
-          const buffer = gltf.buffers[0];
-          if (buffer.uri) {
-            const binPath = path.join(path.dirname(filePath), buffer.uri);
-            if (!fs.existsSync(binPath)) {
-              return { valid: false, error: `Missing binary file: ${buffer.uri}` };
-            }
-          }
-        }
-
       } catch (error) {
         return { valid: false, error: `Invalid JSON: ${error.message}` };
       }
     }
 
     // For .glb files, complete structure validation
-    if (filePath.endsWith('.glb')) {
+    if (isGlb) {
       try {
-        const content = fs.readFileSync(filePath);
+        const content = memoryModel ? memoryModel.data : fs.readFileSync(filePath);
 
         // Check GLB header (magic + version + length)
         if (content.length < 12) {
@@ -186,7 +347,7 @@ function validateGltfModel(filePath) {
             // Check if JSON is valid
             try {
               const jsonContent = content.toString('utf8', offset + 8, offset + 8 + chunkLength);
-              const gltf = JSON.parse(jsonContent);
+              gltf = JSON.parse(jsonContent);
 
               // Check basic GLTF structure
               if (!gltf.asset || !gltf.asset.version) {
@@ -203,6 +364,7 @@ function validateGltfModel(filePath) {
 
           } else if (chunkType === 'BIN\0') {
             hasBINChunk = true;
+            binChunk = binChunk || content.subarray(offset + 8, offset + 8 + chunkLength);
           }
 
           offset += 8 + chunkLength;
@@ -220,7 +382,26 @@ function validateGltfModel(filePath) {
       }
     }
 
-    return { valid: true };
+    // Check that every referenced buffer and image file exists
+    const missing = listGltfResources(memoryModel || filePath)
+      .find(resource => (resource.path ? !fs.existsSync(resource.path) : !resource.data));
+    if (missing) {
+      const kind = missing.type === 'buffer' ? 'binary' : 'image';
+      return { valid: false, error: `Missing ${kind} file: ${missing.uri}` };
+    }
+
+    // Structural checks: indices, accessor bounds, node hierarchy, extensions
+    const { validateGltfJson, loadBufferData } = require('./validate');
+    const issues = validateGltfJson(gltf, {
+      bufferData: loadBufferData(memoryModel ? '' : filePath, gltf, binChunk, memoryModel && memoryModel.resources)
+    });
+
+    const firstError = issues.find(issue => issue.severity === 'error');
+    if (firstError) {
+      return { valid: false, error: `${firstError.message} (${firstError.pointer})`, issues };
+    }
+
+    return { valid: true, issues };
 
   } catch (error) {
     return { valid: false, error: `Validation error: ${error.message}` };
@@ -241,10 +422,15 @@ function loadConfig(configPath = null) {
       maxTextureSize: 1024,
       backupOriginal: true
     },
+    pipeline: null,
+    presets: {},
+    overrides: [],
+    budgets: [],
     excludePatterns: [
       "**/node_modules/**",
       "**/*.backup.*",
-      "**/*-original.*"
+      "**/*-original.*",
+      "**/*.lod[0-9]*.{gltf,glb}"
     ],
     includePatterns: [
       "**/*.gltf",
@@ -252,7 +438,9 @@ function loadConfig(configPath = null) {
     ],
     parallelProcessing: false,
     maxConcurrency: 4,
+    cache: true,
     logLevel: "info",
+    logFormat: "pretty",
     generateReport: false,
     reportFormat: "json"
   };
@@ -301,6 +489,9 @@ function loadConfig(configPath = null) {
         }
       };
 
+      // Local pipeline modules in the config are resolved from its directory
+      mergedConfig.configDir = path.dirname(path.resolve(configFile));
+
       log(`✅ Configuration loaded (${Object.keys(mergedConfig.options).length} options)`, 'green');
       return mergedConfig;
 
@@ -316,136 +507,699 @@ function loadConfig(configPath = null) {
   }
 }
 
-function optimizeModel(inputPath, options = {}) {
+// Shared NodeIO instance with every extension and codec registered, so models
+// using Draco/Meshopt/WebP can be read and written without spawning the CLI
+let ioPromise = null;
+
+function getIO() {
+  if (!ioPromise) {
+    const { NodeIO } = require('@gltf-transform/core');
+    const { ALL_EXTENSIONS } = require('@gltf-transform/extensions');
+    const { MSFTLod } = require('./lod');
+    const draco3d = require('draco3dgltf');
+    const { MeshoptDecoder, MeshoptEncoder } = require('meshoptimizer');
+
+    ioPromise = Promise.all([
+      draco3d.createDecoderModule(),
+      draco3d.createEncoderModule(),
+      MeshoptDecoder.ready,
+      MeshoptEncoder.ready
+    ]).then(([dracoDecoder, dracoEncoder]) => new NodeIO()
+      .registerExtensions([...ALL_EXTENSIONS, MSFTLod])
+      .registerDependencies({
+        'draco3d.decoder': dracoDecoder,
+        'draco3d.encoder': dracoEncoder,
+        'meshopt.decoder': MeshoptDecoder,
+        'meshopt.encoder': MeshoptEncoder
+      }));
+  }
+
+  return ioPromise;
+}
+
+// Where optimizeModel writes a model. Non-destructive mode mirrors the source
+// tree of baseDir under outputDir; converting changes the extension (model.gltf -> model.glb).
+function getTargetPath(inputPath, { outputDir = null, baseDir = null, outputFormat = null } = {}) {
+  const path = require('path');
+  const { FORMAT_EXTENSIONS } = require('./format');
+
+  const ext = path.extname(inputPath);
+  let relativePath = path.relative(baseDir || path.dirname(inputPath), inputPath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    relativePath = path.basename(inputPath);
+  }
+  const targetDir = outputDir ? path.join(path.resolve(outputDir), path.dirname(relativePath)) : path.dirname(inputPath);
+  return path.join(targetDir, `${path.basename(inputPath, ext)}${(outputFormat && FORMAT_EXTENSIONS[outputFormat]) || ext}`);
+}
+
+// Human-readable labels for the steps recorded in optimizeModel results
+const STEP_LABELS = {
+  optimize: 'gltf-transform optimizations',
+  geometry: 'Geometry compression',
+  draco: 'Draco compression (geometry)',
+  meshopt: 'Meshopt compression (geometry)',
+  quantize: 'Vertex quantization (geometry)',
+  simplify: 'Mesh simplification',
+  resize: 'Texture resizing',
+  textures: 'Texture compression',
+  lod: 'LOD generation',
+  verify: 'Output verification'
+};
+
+async function optimizeModel(inputPath, options = {}) {
+  return runOptimization(inputPath, options);
+}
+
+// Body of optimizeModel and optimizeBuffer. With `memory` ({ model, output }),
+// the source is the in-memory model and nothing touches the filesystem:
+// inputPath only names the model, and the encoded files are handed to
+// `output` ({ files, lods }) instead of being written.
+async function runOptimization(inputPath, options = {}, memory = null) {
   const fs = require('fs');
   const path = require('path');
-  const { execSync } = require('child_process');
-  
+  const { Logger } = require('@gltf-transform/core');
   const {
-    compressDraco = COMPRESS_DRACO,
-    resizeTextures = RESIZE_TEXTURES,
-    maxTextureSize = MAX_TEXTURE_SIZE,
-    backupOriginal = true
+    dedup, instance, palette, flatten, join, weld, resample, prune, sparse, draco, meshopt, quantize
+  } = require('@gltf-transform/functions');
+  const { MeshoptEncoder } = require('meshoptimizer');
+  const {
+    resolveTexturePolicies, describeTexturePolicies, isKeepingAllTextures, encodeTextures,
+    resolveResizePolicies, describeResizePolicies, listTextureInfo, resizeTextureImages
+  } = require('./textures');
+  const {
+    countTriangles, resolveSimplifyOptions, resolveLodOptions, simplifyDocument, buildLodDocuments, embedLods
+  } = require('./lod');
+  const { resolveVerifyOptions, verifyModel } = require('./verify');
+  const { createFileTransaction, copyFileAtomic, encodeModelFiles } = require('./atomic');
+  const { resolveOutputFormat, resolveResourceNames, applyResourceNames } = require('./format');
+  const { BUILTIN_STEPS, resolvePipeline } = require('./pipeline');
+
+  const {
+    // Ordered steps: built-in names, { step, options }, custom async
+    // functions (document, context) or local modules (see lib/pipeline.js)
+    pipeline = null,
+    // Directory the local modules of `pipeline` are resolved from
+    pipelineDir = process.cwd(),
+    // false, true or { boundsTolerance, vertexTolerance, triangleTolerance, failOnMismatch, thumbnail }
+    verify = false,
+    // 'glb', 'gltf' (separate .bin and textures) or 'gltf-embedded'; default: same as the input
+    outputFormat = null,
+    // File name templates of separate .gltf resources: { buffers: '{name}.bin', textures: '{texture}.{ext}' }
+    resourceNames = {},
+    backupOriginal = true,
+    outputDir = null,
+    baseDir = path.dirname(inputPath)
   } = options;
+
+  // Messages go to the `logger` option or the default logger, with the model
+  // and the running step in every entry. A log(message, color, level) function
+  // is still accepted as `log`.
+  const logger = (options.logger || (options.log
+    ? createLogger({ level: 'debug', sink: entry => options.log(entry.message, entry.color, entry.level) })
+    : getLogger())).child({ model: memory ? path.basename(inputPath) : inputPath });
+  let currentStep = null;
+  const print = (message, color, level, fields) => logger.log(message, color, level, currentStep ? { step: currentStep, ...fields } : fields);
   
-  const dir = path.dirname(inputPath);
   const ext = path.extname(inputPath);
   const baseName = path.basename(inputPath, ext);
-  const outputPath = path.join(dir, `${baseName}-optimized${ext}`);
-  const backupPath = path.join(dir, `${baseName}-original${ext}`);
+  const backupPath = getBackupPath(inputPath);
+
+  const targetPath = getTargetPath(inputPath, { outputDir, baseDir, outputFormat });
+  const targetExt = path.extname(targetPath);
+  const targetDir = path.dirname(targetPath);
+  const convertInPlace = !memory && !outputDir && path.resolve(targetPath) !== path.resolve(inputPath);
+
+  const startTime = Date.now();
+  const result = {
+    status: 'pending',
+    inputPath: memory ? path.basename(inputPath) : inputPath,
+    outputPath: memory ? null : targetPath,
+    backupPath: null,
+    originalBytes: 0,
+    optimizedBytes: 0,
+    reduction: 0,
+    steps: [],
+    triangles: { original: 0, optimized: 0 },
+    lods: [],
+    textures: [],
+    verification: null,
+    warnings: [],
+    timings: {},
+    error: null
+  };
+
+  // Settings of the built-in steps, from the model options and the options a
+  // pipeline entry gives its step. Throws on invalid values.
+  function resolveStepSettings(stepOptions) {
+    const {
+      compressDraco = COMPRESS_DRACO,
+      // Legacy compressDraco maps onto geometryCompression when it is not set
+      geometryCompression = compressDraco ? 'draco' : 'none',
+      quantizePosition = 14,
+      quantizeNormal = 10,
+      quantizeTexcoord = 12,
+      quantizeColor = 8,
+      quantizationVolume = 'mesh',
+      dracoLevel = 5,
+      dracoMethod = 'edgebreaker',
+      meshoptLevel = 'high',
+      resizeTextures = RESIZE_TEXTURES,
+      // Number, or per-slot object: { default: 1024, normal: 2048, occlusion: 512 }
+      maxTextureSize = MAX_TEXTURE_SIZE,
+      minTextureSize = 0,
+      powerOfTwo = false,
+      textureResizeOverrides = [],
+      // false, true or { ratio, error, lockBorder }
+      simplify = false,
+      // false, true or { levels, error, output: 'files' | 'msft_lod', screenCoverage }
+      lod = false,
+      // Format name, or per-slot object: { default: 'webp', normal: { format: 'ktx2-uastc' } }
+      textureFormat = 'webp',
+      textureQuality
+    } = { ...options, ...stepOptions };
+
+    if (!GEOMETRY_COMPRESSION_METHODS.includes(geometryCompression)) {
+      throw new Error(`Unsupported geometryCompression: ${geometryCompression} (expected ${GEOMETRY_COMPRESSION_METHODS.join(', ')})`);
+    }
+    if (!(dracoLevel >= 0 && dracoLevel <= 10)) {
+      throw new Error(`dracoLevel must be between 0 and 10 (got ${dracoLevel})`);
+    }
+    const texturePolicies = resolveTexturePolicies(textureFormat, textureQuality);
+    const resizePolicies = resolveResizePolicies({ maxTextureSize, minTextureSize, powerOfTwo, textureResizeOverrides });
+    return {
+      geometryCompression,
+      // Draco, Meshopt and plain quantization share the same bit settings
+      quantizeOptions: { quantizePosition, quantizeNormal, quantizeTexcoord, quantizeColor, quantizationVolume },
+      dracoLevel,
+      dracoMethod,
+      meshoptLevel,
+      resizeTextures,
+      resizePolicies,
+      texturePolicies,
+      keepTextures: isKeepingAllTextures(texturePolicies),
+      textureSizes: describeResizePolicies(resizePolicies),
+      textureFormats: describeTexturePolicies(texturePolicies),
+      simplifyOptions: resolveSimplifyOptions(simplify),
+      lodOptions: resolveLodOptions(lod)
+    };
+  }
+
+  // Details appended to a step's label in the summary, e.g. the texture formats
+  const stepDetails = {};
+
+  // Runs one step and records whether it was applied, skipped or failed.
+  // Built-in steps other than 'optimize' and optional custom steps are skipped
+  // with a warning when they fail; other failures stop the optimization.
+  async function runStep(name, enabled, skipReason, fn, { required = false, custom = false } = {}) {
+    const label = STEP_LABELS[name] || name;
+    const record = custom ? { name, custom: true } : { name };
+    if (!enabled) {
+      result.steps.push({ ...record, status: 'skipped', reason: skipReason });
+      return;
+    }
+    const stepStart = Date.now();
+    currentStep = name;
+    try {
+      await fn();
+      result.steps.push({ ...record, status: 'applied', durationMs: Date.now() - stepStart });
+      print(`   ⏱️  ${label}: ${Date.now() - stepStart} ms`, 'blue', 'debug');
+    } catch (error) {
+      result.steps.push({ ...record, status: 'failed', reason: error.message, durationMs: Date.now() - stepStart });
+      if (required) {
+        throw new Error(`${label} failed: ${error.message}`);
+      }
+      result.warnings.push(`${label} failed: ${error.message}`);
+      print(`⚠️  ${label} failed, continuing without it... (${error.message})`, 'yellow');
+    } finally {
+      currentStep = null;
+    }
+  }
+
+  function finish(status, error = null) {
+    result.status = status;
+    result.error = error;
+    result.timings.totalMs = Date.now() - startTime;
+    return result;
+  }
   
-  log(`\n${'='.repeat(60)}`, 'blue');
-  log(`Optimisation: ${path.relative(process.cwd(), inputPath)}`, 'bright');
-  log(`${'='.repeat(60)}`, 'blue');
+  print(`\n${'='.repeat(60)}`, 'blue');
+  print(`Optimisation: ${path.relative(process.cwd(), inputPath)}`, 'bright');
+  print(`${'='.repeat(60)}`, 'blue');
+
+  let steps, verifyOptions, targetFormat, resourceNameTemplates;
+  try {
+    targetFormat = resolveOutputFormat(outputFormat, inputPath);
+    resourceNameTemplates = resolveResourceNames(resourceNames);
+    // Every step's settings are checked before anything runs
+    steps = resolvePipeline(pipeline, { cwd: pipelineDir }).map(step => ({
+      ...step,
+      settings: step.builtin ? resolveStepSettings(step.options) : null
+    }));
+    verifyOptions = resolveVerifyOptions(verify);
+  } catch (error) {
+    print(`❌ ${error.message}`, 'red');
+    return finish('error', error.message);
+  }
+  // Verification tolerates the triangle loss of a simplify step
+  const simplified = steps.some(step => step.name === 'simplify' && step.settings.simplifyOptions);
 
   // Validate model before optimization
-  log('\n🔍 Validating model...', 'blue');
-  const validation = validateGltfModel(inputPath);
+  print('\n🔍 Validating model...', 'blue');
+  const validation = validateGltfModel(memory ? memory.model : inputPath);
+  result.timings.validationMs = Date.now() - startTime;
   if (!validation.valid) {
-    log(`❌ Invalid model: ${validation.error}`, 'red');
-    return; // Exit without optimizing
+    print(`❌ Invalid model: ${validation.error}`, 'red');
+    return finish('invalid', validation.error); // Exit without optimizing
+  }
+  print('✅ Model is valid', 'green');
+
+  if (outputDir && path.resolve(targetPath) === path.resolve(inputPath)) {
+    print('❌ Output directory resolves to the source file, refusing to overwrite it', 'red');
+    return finish('error', 'outputDir must differ from the source directory');
+  }
+  if (convertInPlace && fs.existsSync(targetPath)) {
+    print(`❌ ${path.basename(targetPath)} already exists, refusing to overwrite it`, 'red');
+    return finish('error', `Converting to ${targetFormat} would overwrite ${path.basename(targetPath)}`);
   }
-  log('✅ Model is valid', 'green');
 
-  const originalSize = getGltfModelSize(inputPath);
-  log(`📦 Original size: ${originalSize} MB`, 'yellow');
+  result.originalBytes = getGltfModelBytes(memory ? memory.model : inputPath);
+  const originalSize = formatSize(result.originalBytes);
+  print(`📦 Original size: ${originalSize} MB`, 'yellow');
 
+  let transaction = null;
   try {
-    log('\n⚙️  Step 1: General optimization...', 'blue');
-    let cmd = `npx gltf-transform optimize "${inputPath}" "${outputPath}"`;
-    if (compressDraco) {
-      cmd += ' --compress draco';
+    // Load once, run every step on the same in-memory document, write once
+    const readStart = Date.now();
+    const io = await getIO();
+    const readSource = () => memory ? readMemoryModel(io, memory.model) : io.read(inputPath);
+    const document = await readSource();
+    // gltf-transform's own messages go to the model's logger, one level quieter
+    const documentLogger = new Logger(Logger.Verbosity.DEBUG);
+    documentLogger.debug = () => {};
+    documentLogger.info = message => print(message, 'blue', 'debug');
+    documentLogger.warn = message => print(`⚠️  ${message}`, 'yellow');
+    documentLogger.error = message => print(`❌ ${message}`, 'red');
+    document.setLogger(documentLogger);
+    result.timings.readMs = Date.now() - readStart;
+
+    result.triangles.original = countTriangles(document);
+
+    const hasTextures = () => document.getRoot().listTextures().length > 0;
+    let lodDocuments = [];
+
+    const builtinSteps = {
+      optimize: {
+        describe: () => 'General optimization',
+        skipReason: () => null,
+        run: () => document.transform(
+          dedup(),
+          instance(),
+          palette(),
+          flatten(),
+          join(),
+          weld(),
+          resample(),
+          prune(),
+          sparse()
+        )
+      },
+      simplify: {
+        describe: ({ simplifyOptions }) => `Simplifying meshes (ratio ${simplifyOptions.ratio}, error ${simplifyOptions.error})`,
+        skipReason: ({ simplifyOptions }) => simplifyOptions ? null : 'simplify disabled',
+        run: ({ simplifyOptions }) => simplifyDocument(document, simplifyOptions)
+      },
+      geometry: {
+        describe: ({ geometryCompression }) => STEP_LABELS[geometryCompression],
+        skipReason: ({ geometryCompression }) => geometryCompression === 'none' ? 'geometryCompression: none' : null,
+        run: async ({ geometryCompression, quantizeOptions, dracoMethod, dracoLevel, meshoptLevel }) => {
+          if (geometryCompression === 'draco') {
+            await document.transform(draco({
+              ...quantizeOptions,
+              method: dracoMethod,
+              encodeSpeed: 10 - dracoLevel,
+              decodeSpeed: 10 - dracoLevel
+            }));
+          } else if (geometryCompression === 'meshopt') {
+            await document.transform(meshopt({ ...quantizeOptions, encoder: MeshoptEncoder, level: meshoptLevel }));
+          } else {
+            await document.transform(quantize(quantizeOptions));
+          }
+        }
+      },
+      resize: {
+        describe: ({ textureSizes }) => `Resizing textures (${textureSizes})`,
+        skipReason: ({ resizeTextures }) => !resizeTextures ? 'resizeTextures disabled' : !hasTextures() ? 'no textures' : null,
+        run: async ({ resizePolicies }) => {
+          const { resized, warnings } = await resizeTextureImages(document, resizePolicies);
+          resized.forEach(texture => {
+            print(`   🖼️  ${texture.name}: ${texture.from.join('x')} → ${texture.to.join('x')}`, 'blue');
+          });
+          warnings.forEach(warning => {
+            result.warnings.push(warning);
+            print(`⚠️  ${warning}`, 'yellow');
+          });
+        }
+      },
+      textures: {
+        describe: ({ textureFormats }) => `Compressing textures (${textureFormats})`,
+        skipReason: ({ keepTextures }) => !hasTextures() ? 'no textures' : keepTextures ? 'textureFormat: keep' : null,
+        run: async ({ texturePolicies }) => {
+          const { warnings } = await encodeTextures(document, texturePolicies);
+          warnings.forEach(warning => {
+            result.warnings.push(warning);
+            print(`⚠️  ${warning}`, 'yellow');
+          });
+        }
+      },
+      // LOD levels are built from the document as it is at this point of the pipeline
+      lod: {
+        describe: ({ lodOptions }) => `Generating ${lodOptions.levels.length} LOD level(s) (${lodOptions.output})`,
+        skipReason: ({ lodOptions }) => lodOptions ? null : 'lod disabled',
+        run: async ({ lodOptions }) => {
+          if (lodOptions.output === 'msft_lod') {
+            const triangles = await embedLods(document, lodOptions);
+            result.lods = triangles.map((count, level) => ({
+              level,
+              ratio: level === 0 ? 1 : lodOptions.levels[level - 1].ratio,
+              triangles: count,
+              outputPath: result.outputPath
+            }));
+          } else {
+            lodDocuments = await buildLodDocuments(document, lodOptions);
+          }
+        }
+      }
+    };
+
+    // What custom steps receive along with the document
+    const createStepContext = step => ({
+      filePath: inputPath,
+      outputPath: result.outputPath,
+      options: step.options,
+      modelOptions: options,
+      log: print,
+      logger: logger.child({ step: step.name }),
+      warn: message => {
+        result.warnings.push(`${step.name}: ${message}`);
+        print(`⚠️  ${step.name}: ${message}`, 'yellow');
+      }
+    });
+
+    // Sizes and formats before the texture steps, compared with the final ones in the result
+    let originalTextures = null;
+
+    let stepNumber = 0;
+    for (const [index, step] of steps.entries()) {
+      if (!step.builtin) {
+        print(`\n⚙️  Step ${++stepNumber}: ${step.name}...`, 'blue', 'info', { step: step.name });
+        await runStep(step.name, true, null, () => step.run(document, createStepContext(step)),
+          { required: !step.optional, custom: true });
+      } else {
+        const builtin = builtinSteps[step.name];
+        const skipReason = builtin.skipReason(step.settings);
+        const name = step.name === 'geometry' && !skipReason ? step.settings.geometryCompression : step.name;
+        if (step.name === 'resize') stepDetails[name] = step.settings.textureSizes;
+        if (step.name === 'textures') stepDetails[name] = step.settings.textureFormats;
+        if ((step.name === 'resize' || step.name === 'textures') && !originalTextures) {
+          originalTextures = listTextureInfo(document);
+        }
+        if (!skipReason) {
+          print(`\n⚙️  Step ${++stepNumber}: ${builtin.describe(step.settings)}...`, 'blue', 'info', { step: name });
+        }
+        await runStep(name, !skipReason, skipReason, () => builtin.run(step.settings), { required: step.name === 'optimize' });
+      }
+      logger.progress({ current: index + 1, total: steps.length, message: step.name, step: step.name }, 'debug');
     }
-    execSync(cmd, { stdio: 'inherit' });
-    
-    let currentPath = outputPath;
-    
-    if (resizeTextures) {
-      log('\n⚙️  Step 2: Resizing textures...', 'blue');
-      const tempPath = outputPath.replace(ext, `-temp${ext}`);
+    // Built-in steps left out of the pipeline still show up in the result
+    BUILTIN_STEPS.filter(name => !steps.some(step => step.name === name)).forEach(name => {
+      result.steps.push({ name, status: 'skipped', reason: 'not in pipeline' });
+    });
+    originalTextures = originalTextures || listTextureInfo(document);
+    result.triangles.optimized = countTriangles(document);
+
+    const finalTextures = listTextureInfo(document);
+    result.textures = [...originalTextures].map(([texture, original]) => {
+      const final = finalTextures.get(texture) || original;
+      return {
+        name: original.name,
+        slots: original.slots,
+        originalWidth: original.width,
+        originalHeight: original.height,
+        originalMimeType: original.mimeType,
+        width: final.width,
+        height: final.height,
+        mimeType: final.mimeType
+      };
+    });
+
+    // Encode every output file in memory: nothing on disk changes before the commit
+    const writeStart = Date.now();
+    const embedded = targetFormat === 'gltf-embedded';
+    if (targetFormat === 'gltf') {
+      applyResourceNames(document, resourceNameTemplates, baseName);
+    }
+    const encoded = await encodeModelFiles(io, document, targetPath, { embedded });
+    const encodeMs = Date.now() - writeStart;
+    result.optimizedBytes = [...encoded.files.values()].reduce((sum, data) => sum + data.byteLength, 0);
+    result.reduction = result.originalBytes > 0
+      ? (1 - result.optimizedBytes / result.originalBytes) * 100
+      : 0;
+    const optimizedSize = formatSize(result.optimizedBytes);
+
+    // Verification decodes the encoded output, so it sees what compression did.
+    // The sources are still untouched at this point.
+    if (verifyOptions) {
+      print('\n🔬 Verifying output against the source...', 'blue');
+    }
+    await runStep('verify', Boolean(verifyOptions), 'verify disabled', async () => {
+      result.verification = await verifyModel(memory ? await readSource() : inputPath, await encoded.decode(), verifyOptions, {
+        simplified,
+        name: baseName
+      });
+    });
+    if (result.verification && !result.verification.passed) {
+      const { checks, thumbnail } = result.verification;
+      const failures = checks.filter(check => check.status === 'failed').map(check => `${check.name}: ${check.message}`);
+      if (thumbnail && !thumbnail.passed) {
+        failures.push(`thumbnail: difference ${thumbnail.score} above ${thumbnail.threshold}`);
+      }
+      failures.forEach(failure => print(`⚠️  ${failure}`, 'yellow'));
+      if (verifyOptions.failOnMismatch) {
+        throw new Error(`Output verification failed (${failures.join('; ')})`);
+      }
+      result.warnings.push(`Output verification failed: ${failures.join('; ')}`);
+    }
+
+    // Simplified levels go next to the optimized model (model.lod1.glb, model.lod2.glb...),
+    // which is level 0
+    const lodOutputs = [];
+    for (const { level, ratio, triangles, document: lodDocument } of lodDocuments) {
+      const lodPath = path.join(targetDir, `${baseName}.lod${level}${targetExt}`);
       try {
-        execSync(`npx gltf-transform resize "${currentPath}" "${tempPath}" --width ${maxTextureSize} --height ${maxTextureSize}`, { stdio: 'inherit' });
-        fs.unlinkSync(currentPath);
-        fs.renameSync(tempPath, currentPath);
-      } catch (error) {
-        log('⚠️  Texture resizing failed, continuing without it...', 'yellow');
-        if (fs.existsSync(tempPath)) {
-          fs.unlinkSync(tempPath);
+        // Each level has its own .bin and shares the model's texture files
+        if (targetFormat === 'gltf') {
+          applyResourceNames(lodDocument, { buffers: resourceNameTemplates.buffers || '{name}.bin' }, `${baseName}.lod${level}`);
+          applyResourceNames(lodDocument, { textures: resourceNameTemplates.textures }, baseName);
         }
+        const { files } = await encodeModelFiles(io, lodDocument, lodPath, { embedded });
+        lodOutputs.push({ level, ratio, triangles, outputPath: lodPath, files });
+      } catch (error) {
+        result.warnings.push(`LOD${level} could not be written: ${error.message}`);
+        print(`⚠️  LOD${level} could not be written: ${error.message}`, 'yellow');
       }
     }
 
-    log('\n⚙️  Step 3: Compressing textures to WebP...', 'blue');
-    const tempPath2 = currentPath.replace(ext, `-temp2${ext}`);
-    try {
-      execSync(`npx gltf-transform webp "${currentPath}" "${tempPath2}"`, { stdio: 'inherit' });
-      fs.unlinkSync(currentPath);
-      fs.renameSync(tempPath2, currentPath);
-    } catch (error) {
-      log('⚠️  WebP compression failed, continuing without it...', 'yellow');
-      if (fs.existsSync(tempPath2)) {
-        fs.unlinkSync(tempPath2);
+    if (memory) {
+      memory.output.files = encoded.files;
+      memory.output.lods = lodOutputs;
+      result.timings.writeMs = encodeMs;
+    } else {
+      // Back up the model and every file the write replaces, then swap all the
+      // files in at once. Any failure puts the previous files back.
+      const commitStart = Date.now();
+      transaction = createFileTransaction();
+      // In place, the source files the new model does not reuse go away: the old
+      // model file when converting, a .png replaced by a .webp...
+      const obsolete = outputDir ? [] : [inputPath, ...listGltfResources(inputPath).map(resource => resource.path)]
+        .map(file => path.resolve(file))
+        .filter(file => !encoded.files.has(file) && fs.existsSync(file));
+      // Only the files the commit overwrites or deletes need a backup
+      if (!outputDir && backupOriginal) {
+        [...encoded.files.keys(), ...obsolete].forEach(file => {
+          const fileBackupPath = getBackupPath(file);
+          if (!fs.existsSync(file) || fs.existsSync(fileBackupPath)) return;
+          copyFileAtomic(file, fileBackupPath);
+          if (file === path.resolve(inputPath)) {
+            print(`\n💾 Original backup saved as: ${baseName}-original${ext}`, 'yellow');
+            result.backupPath = backupPath;
+          }
+        });
+      }
+      encoded.files.forEach((data, file) => transaction.stage(file, data));
+      lodOutputs.forEach(({ files }) => files.forEach((data, file) => transaction.stage(file, data)));
+      obsolete.forEach(file => transaction.stageRemoval(file));
+      if (convertInPlace) {
+        print(`\n📄 Replacing ${path.basename(inputPath)} with ${path.basename(targetPath)}...`, 'blue');
+      } else if (!outputDir) {
+        print(`\n📄 Replacing original file...`, 'blue');
       }
+      transaction.commit();
+      result.timings.writeMs = encodeMs + (Date.now() - commitStart);
+    }
+
+    if (lodDocuments.length > 0) {
+      result.lods = [
+        { level: 0, ratio: 1, triangles: result.triangles.optimized, outputPath: result.outputPath },
+        ...lodOutputs.map(({ level, ratio, triangles, outputPath: lodPath }) => ({ level, ratio, triangles, outputPath: memory ? null : lodPath }))
+      ];
     }
     
-    const optimizedSize = getGltfModelSize(inputPath);
-    const reduction = ((1 - optimizedSize / originalSize) * 100).toFixed(1);
-    
-  log('\n✅ Optimization completed!', 'green');
-  log(`📦 Original size: ${originalSize} MB → ${optimizedSize} MB`, 'green');
-  log(`💾 Reduction: ${reduction}% (${(originalSize - optimizedSize).toFixed(2)} MB saved)`, 'green');
+  print('\n✅ Optimization completed!', 'green');
+  print(`📦 Original size: ${originalSize} MB → ${optimizedSize} MB`, 'green');
+  print(`💾 Reduction: ${result.reduction.toFixed(1)}% (${formatSize(result.originalBytes - result.optimizedBytes)} MB saved)`, 'green');
 
   // Detailed information about the model
-  log(`\n📋 Detailed information:`, 'blue');
-  log(`   📄 Format: ${ext.toUpperCase()}`, 'blue');
-  log(`   🔧 Applied optimizations:`, 'blue');
-
-  if (compressDraco) log(`     ✓ Draco compression (geometry)`, 'green');
-  if (resizeTextures) log(`     ✓ Texture resizing (max ${maxTextureSize}px)`, 'green');
-  log(`     ✓ WebP texture compression`, 'green');
-  log(`     ✓ gltf-transform optimizations`, 'green');
-    
-    if (backupOriginal && !fs.existsSync(backupPath)) {
-      log(`\n💾 Original backup saved as: ${baseName}-original${ext}`, 'yellow');
-      fs.copyFileSync(inputPath, backupPath);
+  print(`\n📋 Detailed information:`, 'blue');
+  if (targetFormat !== resolveOutputFormat(null, inputPath)) {
+    print(`   📄 Format: ${ext.toUpperCase()} → ${targetExt.toUpperCase()}${embedded ? ' (embedded)' : ''}`, 'blue');
+  } else {
+    print(`   📄 Format: ${ext.toUpperCase()}`, 'blue');
+  }
+  print(`   🔺 Triangles: ${result.triangles.original} → ${result.triangles.optimized}`, 'blue');
+  result.lods.forEach(level => {
+    print(`     LOD${level.level}: ${level.triangles} triangles`, 'blue');
+  });
+  if (result.verification) {
+    const { passed, thumbnail } = result.verification;
+    print(`   🔬 Verification: ${passed ? 'passed' : 'failed'}` +
+      (thumbnail ? ` (thumbnail difference ${thumbnail.score}${thumbnail.imagePath ? `, ${path.relative(process.cwd(), thumbnail.imagePath)}` : ''})` : ''),
+      passed ? 'blue' : 'yellow');
+  }
+  print(`   🔧 Applied optimizations:`, 'blue');
+
+  result.steps.forEach(step => {
+    let label = STEP_LABELS[step.name] || step.name;
+    if (stepDetails[step.name]) label += ` (${stepDetails[step.name]})`;
+    if (step.status === 'applied') print(`     ✓ ${label}`, 'green');
+    else print(`     - ${label} (${step.status}: ${step.reason})`, 'yellow');
+  });
+
+  if (result.textures.length > 0) {
+    const formatDimensions = (width, height) => width ? `${width}x${height}` : '?';
+    print(`   🖼️  Textures:`, 'blue');
+    result.textures.forEach(texture => {
+      const before = formatDimensions(texture.originalWidth, texture.originalHeight);
+      const after = formatDimensions(texture.width, texture.height);
+      print(`     ${texture.name}: ${before} → ${after} (${texture.mimeType})`, 'blue');
+    });
+  }
+
+    // Sources are left untouched when writing to an output directory
+    if (outputDir) {
+      print(`\n📁 Written to: ${path.relative(process.cwd(), targetPath)}`, 'green');
+    } else if (!memory) {
+      print('✅ File successfully replaced!', 'green');
     }
-    
-    log(`\n📄 Replacing original file...`, 'blue');
-    fs.unlinkSync(inputPath);
-    fs.renameSync(currentPath, inputPath);
-
-    if (ext === '.gltf') {
-      const binPath = path.join(dir, 'scene.bin');
-      if (fs.existsSync(binPath)) {
-        const binBackupPath = path.join(dir, 'scene-original.bin');
-        if (backupOriginal && !fs.existsSync(binBackupPath)) {
-          fs.copyFileSync(binPath, binBackupPath);
-        }
-      }
+    if (!memory) {
+      lodOutputs.forEach(({ level, triangles, outputPath: lodPath }) => {
+        print(`   🔺 LOD${level}: ${triangles} triangles → ${path.relative(process.cwd(), lodPath)}`, 'green');
+      });
     }
 
-    log('✅ File successfully replaced!', 'green');
+    return finish('success');
     
   } catch (error) {
-    log(`\n❌ Optimization error: ${error.message}`, 'red');
-    if (fs.existsSync(outputPath)) {
-      fs.unlinkSync(outputPath);
+    print(`\n❌ Optimization error: ${error.message}`, 'red');
+    if (transaction) {
+      transaction.rollback();
     }
+    return finish('error', error.message);
   }
 }
 
+// Splits files encoded for a virtual model path into the model file and its
+// resources, keyed by their URI relative to the model
+function toMemoryOutput(files, modelPath) {
+  const path = require('path');
+  const [[, buffer], ...resourceFiles] = [...files];
+  const resources = {};
+  resourceFiles.forEach(([file, data]) => {
+    resources[path.relative(path.dirname(modelPath), file).split(path.sep).join('/')] = Buffer.from(data);
+  });
+  return { buffer: Buffer.from(buffer), resources };
+}
+
+// Optimizes a model held in memory, without reading or writing any file: a GLB
+// or self-contained .gltf Buffer, or { json, resources } (see toMemoryModel).
+// Takes the options of optimizeModel, except the file ones (outputDir, baseDir,
+// backupOriginal), plus `name`, used in logs and resource file names.
+// Resolves to { buffer, resources, lods, result }: the optimized model file,
+// the files a separate .gltf references (URI -> Buffer), LOD levels written as
+// files ([{ level, ratio, triangles, buffer, resources }]), and the result of
+// optimizeModel. buffer is null when the optimization did not succeed.
+async function optimizeBuffer(model, options = {}) {
+  const path = require('path');
+
+  const memoryModel = toMemoryModel(model);
+  const { name = 'model', outputDir, baseDir, backupOriginal, ...modelOptions } = options;
+  const inputPath = path.resolve(`${path.basename(name)}.${memoryModel.format}`);
+  const output = { files: null, lods: [] };
+
+  const result = await runOptimization(inputPath, modelOptions, { model: memoryModel, output });
+  if (result.status !== 'success') {
+    return { buffer: null, resources: {}, lods: [], result };
+  }
+
+  const modelPath = output.files.keys().next().value;
+  return {
+    ...toMemoryOutput(output.files, modelPath),
+    lods: output.lods.map(({ level, ratio, triangles, files, outputPath }) => ({
+      level,
+      ratio,
+      triangles,
+      ...toMemoryOutput(files, outputPath)
+    })),
+    result
+  };
+}
+
+// optimizeBuffer for a .gltf given as its JSON (object, string or Buffer) and
+// the files it references (object or Map of URI -> Buffer). Adds `json`, the
+// parsed optimized JSON, unless the output is a GLB (outputFormat: 'glb').
+async function optimizeGltfJson(json, resources = {}, options = {}) {
+  const output = await optimizeBuffer({ json, resources }, options);
+  const isGlb = output.buffer && isGlbData(output.buffer);
+  return {
+    json: output.buffer && !isGlb ? JSON.parse(output.buffer.toString('utf8')) : null,
+    ...output
+  };
+}
+
 // Export the main functions and configs
 module.exports = {
   findGltfFiles,
+  createModelMatcher,
   optimizeModel,
+  optimizeBuffer,
+  optimizeGltfJson,
+  getTargetPath,
   validateGltfModel,
+  getIO,
   loadConfig,
   createProgressBar,
   log,
   getFileSize,
   getGltfModelSize,
+  getGltfModelBytes,
+  listGltfResources,
+  getBackupPath,
+  formatSize,
+  formatBytes,
+  readGltfJson,
+  toMemoryModel,
   colors,
   COMPRESS_DRACO,
+  GEOMETRY_COMPRESSION_METHODS,
   RESIZE_TEXTURES,
   MAX_TEXTURE_SIZE
 };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Built-in steps, in their default order. 'geometry' runs the configured
+// geometryCompression (draco, meshopt or quantize).
+const BUILTIN_STEPS = ['optimize', 'simplify', 'geometry', 'resize', 'textures', 'lod'];
+const DEFAULT_PIPELINE = BUILTIN_STEPS;
+
+// Names recorded for the geometry step, reserved like the built-in names
+const RESERVED_STEP_NAMES = [...BUILTIN_STEPS, 'draco', 'meshopt', 'quantize', 'verify'];
+
+function isModulePath(value) {
+  return /^\.{1,2}[\\/]/.test(value) || path.isAbsolute(value);
+}
+
+// Loads a local module exporting a step: a function, or { name, run }
+function loadStepModule(modulePath, cwd) {
+  const resolvedPath = path.resolve(cwd, modulePath);
+  let exported;
+  try {
+    // Loaded afresh each time, so that watch and serve run the module as edited
+    delete require.cache[require.resolve(resolvedPath)];
+    exported = require(resolvedPath);
+  } catch (error) {
+    // The first line names the problem, the rest is Node's require stack
+    throw new Error(`Could not load pipeline module ${modulePath}: ${error.message.split('\n')[0]}`);
+  }
+  if (exported && typeof exported.default === 'function') {
+    exported = exported.default;
+  }
+  const run = typeof exported === 'function' ? exported : exported && exported.run;
+  if (typeof run !== 'function') {
+    throw new Error(`Pipeline module ${modulePath} must export a function or { run }`);
+  }
+  return {
+    name: (exported && typeof exported.name === 'string' && exported.name) || run.name || path.basename(resolvedPath, path.extname(resolvedPath)),
+    run,
+    modulePath: resolvedPath
+  };
+}
+
+// Turns a pipeline into [{ name, builtin, options, run, optional, modulePath }].
+// Entries are built-in step names, { step, options } to give a built-in step
+// its own options, async functions (document, context), { name, run, options,
+// optional }, or local modules as './path.js' or { module, options, optional }.
+// Module paths are resolved from `cwd`.
+function resolvePipeline(pipeline = DEFAULT_PIPELINE, { cwd = process.cwd() } = {}) {
+  if (pipeline === null || pipeline === undefined) {
+    pipeline = DEFAULT_PIPELINE;
+  }
+  if (!Array.isArray(pipeline)) {
+    throw new Error('pipeline must be an array of steps');
+  }
+
+  const seen = new Set();
+  return pipeline.map((entry, index) => {
+    const where = `pipeline[${index}]`;
+    let step;
+
+    if (typeof entry === 'string') {
+      entry = isModulePath(entry) ? { module: entry } : { step: entry };
+    } else if (typeof entry === 'function') {
+      entry = { run: entry };
+    }
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`${where} must be a step name, a function or an object`);
+    }
+
+    const options = entry.options || {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`${where}.options must be an object`);
+    }
+
+    if (entry.step !== undefined) {
+      if (!BUILTIN_STEPS.includes(entry.step)) {
+        throw new Error(`Unknown pipeline step "${entry.step}" in ${where} (built-in steps: ${BUILTIN_STEPS.join(', ')}; local modules start with ./)`);
+      }
+      if (seen.has(entry.step)) {
+        throw new Error(`Built-in step "${entry.step}" appears twice in the pipeline`);
+      }
+      seen.add(entry.step);
+      return { name: entry.step, builtin: true, options, run: null, optional: false, modulePath: null };
+    }
+
+    if (entry.module !== undefined) {
+      if (typeof entry.module !== 'string') {
+        throw new Error(`${where}.module must be a path`);
+      }
+      step = loadStepModule(entry.module, cwd);
+    } else if (typeof entry.run === 'function') {
+      step = { name: entry.run.name, run: entry.run, modulePath: null };
+    } else {
+      throw new Error(`${where} needs a "step", a "module" or a "run" function`);
+    }
+
+    const name = entry.name || step.name || `custom${index + 1}`;
+    if (RESERVED_STEP_NAMES.includes(name)) {
+      throw new Error(`Custom step name "${name}" in ${where} is reserved for a built-in step`);
+    }
+    return { name, builtin: false, options, run: step.run, optional: Boolean(entry.optional), modulePath: step.modulePath };
+  });
+}
+
+// JSON-friendly description of a pipeline for the cache: custom steps are
+// identified by their source, so editing a step re-optimizes the models
+function describePipeline(pipeline, { cwd = process.cwd() } = {}) {
+  const hash = data => crypto.createHash('sha256').update(data).digest('hex');
+  return resolvePipeline(pipeline, { cwd }).map(step => {
+    if (step.builtin) {
+      return { step: step.name, options: step.options };
+    }
+    const source = step.modulePath ? fs.readFileSync(step.modulePath) : step.run.toString();
+    return { name: step.name, options: step.options, optional: step.optional, source: hash(source) };
+  });
+}
+
+module.exports = {
+  BUILTIN_STEPS,
+  DEFAULT_PIPELINE,
+  resolvePipeline,
+  describePipeline
+};
@@ -0,0 +1,55 @@
+const path = require('path');
+const picomatch = require('picomatch');
+
+function getPreset(config, name, source = null) {
+  const presets = config.presets || {};
+  if (!Object.prototype.hasOwnProperty.call(presets, name)) {
+    const known = Object.keys(presets);
+    throw new Error(`Unknown preset "${name}"${source ? ` in ${source}` : ''}` +
+      (known.length > 0 ? ` (available: ${known.join(', ')})` : ' (no presets defined)'));
+  }
+  return presets[name] || {};
+}
+
+// Builds a function returning the options of one model. Later layers win:
+// config.pipeline, config.options, the selected preset (`preset` or config.preset), then every
+// override whose `match` glob matches the model path relative to `baseDir`,
+// in order. Options are merged one level deep, like config.options. Pipeline
+// modules are resolved from the directory of the config file (config.configDir).
+function createOptionsResolver(config, { baseDir = process.cwd(), preset = config.preset } = {}) {
+  const baseOptions = {
+    ...(config.configDir ? { pipelineDir: config.configDir } : {}),
+    ...(config.pipeline ? { pipeline: config.pipeline } : {}),
+    ...(config.options || {}),
+    ...(preset ? getPreset(config, preset) : {})
+  };
+
+  const overrides = (config.overrides || []).map((override, index) => {
+    if (!override || !override.match) {
+      throw new Error(`overrides[${index}] needs a "match" glob`);
+    }
+    return {
+      isMatch: picomatch(override.match, { dot: true }),
+      options: {
+        ...(override.preset ? getPreset(config, override.preset, `overrides[${index}]`) : {}),
+        ...(override.options || {})
+      }
+    };
+  });
+
+  return function resolveOptions(filePath) {
+    const relativePath = path.relative(baseDir, filePath).split(path.sep).join('/');
+    return overrides
+      .filter(override => override.isMatch(relativePath))
+      .reduce((options, override) => ({ ...options, ...override.options }), { ...baseOptions });
+  };
+}
+
+function resolveModelOptions(config, filePath, settings = {}) {
+  return createOptionsResolver(config, settings)(filePath);
+}
+
+module.exports = {
+  createOptionsResolver,
+  resolveModelOptions
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { formatSize } = require('./optimize');
+const { summarizeResults } = require('./batch');
+
+const REPORT_FORMATS = ['json', 'csv', 'markdown'];
+
+// File extension used for each report format
+const REPORT_EXTENSIONS = {
+  json: '.json',
+  csv: '.csv',
+  markdown: '.md'
+};
+
+function toReportPath(filePath) {
+  return filePath ? path.relative(process.cwd(), filePath).split(path.sep).join('/') : '';
+}
+
+function normalizeReportFormat(format) {
+  const normalized = format === 'md' ? 'markdown' : format;
+  if (!REPORT_FORMATS.includes(normalized)) {
+    throw new Error(`Unsupported report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+  return normalized;
+}
+
+// Picks the report format from the file extension, else from `fallbackFormat`
+function resolveReportFormat(filePath, fallbackFormat = 'json') {
+  const ext = path.extname(filePath || '').toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.csv') return 'csv';
+  if (ext === '.md' || ext === '.markdown') return 'markdown';
+  return normalizeReportFormat(fallbackFormat || 'json');
+}
+
+// Optimized and cached models both have an up-to-date output to report on
+function hasOutput(result) {
+  return result.status === 'success' || result.status === 'cached';
+}
+
+// Turns optimizeModel results into per-model rows and totals
+function buildReport(results) {
+  const models = results.map(result => ({
+    path: toReportPath(result.inputPath),
+    outputPath: toReportPath(result.outputPath),
+    status: result.status,
+    originalBytes: result.originalBytes,
+    optimizedBytes: hasOutput(result) ? result.optimizedBytes : null,
+    reduction: hasOutput(result) ? Number((result.reduction || 0).toFixed(2)) : null,
+    stepsApplied: (result.steps || []).filter(step => step.status === 'applied').map(step => step.name),
+    triangles: result.triangles || null,
+    lods: (result.lods || []).map(level => ({ ...level, outputPath: toReportPath(level.outputPath) })),
+    textures: result.textures || [],
+    verification: result.verification || null,
+    warnings: result.warnings || [],
+    errors: result.error ? [result.error] : [],
+    durationMs: result.timings ? result.timings.totalMs : null
+  }));
+
+  const summary = summarizeResults(results);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totals: {
+      models: summary.total,
+      succeeded: summary.succeeded,
+      cached: summary.cached,
+      failed: summary.failed,
+      originalBytes: summary.originalBytes,
+      optimizedBytes: summary.optimizedBytes,
+      savedBytes: summary.savedBytes,
+      reduction: Number(summary.reduction.toFixed(2))
+    },
+    models
+  };
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// "2048x1024", or "?" when the size could not be read
+function formatDimensions(width, height) {
+  return width ? `${width}x${height}` : '?';
+}
+
+function formatTextureSize(texture) {
+  return `${formatDimensions(texture.originalWidth, texture.originalHeight)}→${formatDimensions(texture.width, texture.height)}`;
+}
+
+// "passed", "failed" or "", with the thumbnail difference when it was rendered
+function formatVerification(verification) {
+  if (!verification) return '';
+  const status = verification.passed ? 'passed' : 'failed';
+  return verification.thumbnail ? `${status} (${verification.thumbnail.score})` : status;
+}
+
+function formatCsv(report) {
+  const header = ['path', 'status', 'originalBytes', 'optimizedBytes', 'reduction', 'stepsApplied', 'textures', 'verification', 'warnings', 'errors'];
+  const rows = report.models.map(model => [
+    model.path,
+    model.status,
+    model.originalBytes,
+    model.optimizedBytes,
+    model.reduction,
+    model.stepsApplied.join(';'),
+    model.textures.map(texture => `${texture.name} ${formatTextureSize(texture)}`).join(';'),
+    formatVerification(model.verification),
+    model.warnings.join(';'),
+    model.errors.join(';')
+  ]);
+
+  const { totals } = report;
+  rows.push(['TOTAL', `${totals.succeeded}/${totals.models}`, totals.originalBytes, totals.optimizedBytes, totals.reduction, '', '', '', '', '']);
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+function formatMarkdown(report) {
+  const { totals } = report;
+  const lines = [
+    '## glTF optimization report',
+    '',
+    `${totals.succeeded} of ${totals.models} model(s) optimized, ${totals.cached} unchanged (cached), ${totals.failed} failure(s). ` +
+      `Total: ${formatSize(totals.originalBytes)} MB → ${formatSize(totals.optimizedBytes)} MB ` +
+      `(${totals.reduction.toFixed(1)}%, ${formatSize(totals.savedBytes)} MB saved).`,
+    '',
+    '| Model | Status | Original | Optimized | Reduction | Steps | Notes |',
+    '|-------|--------|---------:|----------:|----------:|-------|-------|'
+  ];
+
+  report.models.forEach(model => {
+    const notes = [...model.errors, ...model.warnings].map(escapeMarkdown).join('<br>');
+    lines.push(`| ${[
+      `\`${escapeMarkdown(model.path)}\``,
+      model.status,
+      `${formatSize(model.originalBytes)} MB`,
+      model.optimizedBytes === null ? '—' : `${formatSize(model.optimizedBytes)} MB`,
+      model.reduction === null ? '—' : `${model.reduction.toFixed(1)}%`,
+      model.stepsApplied.join(', '),
+      notes
+    ].join(' | ')} |`);
+  });
+
+  // Per-texture dimensions so downscaled textures are easy to spot
+  const textureRows = report.models.flatMap(model => model.textures.map(texture => [model, texture]));
+  if (textureRows.length > 0) {
+    lines.push(
+      '',
+      '### Textures',
+      '',
+      '| Model | Texture | Slots | Original | Optimized | Format |',
+      '|-------|---------|-------|----------|-----------|--------|'
+    );
+    textureRows.forEach(([model, texture]) => {
+      lines.push(`| ${[
+        `\`${escapeMarkdown(model.path)}\``,
+        escapeMarkdown(texture.name),
+        texture.slots.join(', '),
+        formatDimensions(texture.originalWidth, texture.originalHeight),
+        formatDimensions(texture.width, texture.height),
+        texture.mimeType
+      ].join(' | ')} |`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function formatReport(report, format = 'json') {
+  switch (normalizeReportFormat(format)) {
+    case 'csv':
+      return formatCsv(report);
+    case 'markdown':
+      return formatMarkdown(report);
+    default:
+      return JSON.stringify(report, null, 2) + '\n';
+  }
+}
+
+// Writes a report for `results` to `filePath` and returns the built report
+function writeReport(results, filePath, format = null) {
+  const report = buildReport(results);
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, formatReport(report, format || resolveReportFormat(filePath)));
+  return report;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  REPORT_EXTENSIONS,
+  resolveReportFormat,
+  buildReport,
+  formatReport,
+  writeReport
+};
@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { optimizeBuffer } = require('./optimize');
+const { createLogger, getLogger } = require('./logger');
+const { validateGltfFile } = require('./validate');
+const { buildReport, formatReport } = require('./report');
+const { BUILTIN_STEPS } = require('./pipeline');
+const { isZipData, readZip, writeZip } = require('./zip');
+
+// HTTP service around optimizeBuffer: models are uploaded, queued, optimized in
+// memory and downloaded. Nothing is written to disk and nothing leaves the machine.
+
+const MB = 1024 * 1024;
+
+// Options a request cannot set: they name files on the server
+const SERVER_ONLY_OPTIONS = ['outputDir', 'baseDir', 'backupOriginal', 'pipelineDir', 'logger', 'log', 'name'];
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body, null, 2) + '\n');
+}
+
+// Reads the whole request body, up to `maxBytes`. The rest of a larger body is
+// read and dropped, so that the client gets to read the 413 response.
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      reject(httpError(413, `Upload larger than ${maxBytes / MB} MB`));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', chunk => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        failed = true;
+        chunks.length = 0;
+        reject(httpError(413, `Upload larger than ${maxBytes / MB} MB`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!failed) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Splits a multipart/form-data body into [{ name, filename, data }]
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!/^multipart\/form-data/i.test(contentType || '') || !match) {
+    throw httpError(415, 'Expected a multipart/form-data upload');
+  }
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const delimiter = Buffer.concat([Buffer.from('\r\n'), boundary]);
+
+  const parts = [];
+  let start = body.indexOf(boundary);
+  while (start >= 0) {
+    start += boundary.length;
+    if (body.toString('latin1', start, start + 2) === '--') break;
+    const end = body.indexOf(delimiter, start);
+    if (end < 0) {
+      throw httpError(400, 'Malformed multipart body');
+    }
+    const part = body.subarray(start + 2, end); // Skips the CRLF after the boundary
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd < 0) {
+      throw httpError(400, 'Malformed multipart body');
+    }
+    const headers = part.toString('utf8', 0, headerEnd);
+    const name = /(?:^|;\s*)name="([^"]*)"/i.exec(headers);
+    const filename = /filename="([^"]*)"/i.exec(headers);
+    parts.push({
+      name: name ? name[1] : null,
+      filename: filename ? filename[1] : null,
+      data: part.subarray(headerEnd + 4)
+    });
+    start = end + 2;
+  }
+  return parts;
+}
+
+// Model of an upload: a GLB, a self-contained .gltf, or a ZIP bundle holding
+// one .gltf (or .glb) and the files it references. Returns { name, model }.
+function readModelUpload(part, maxModelBytes) {
+  const filename = path.basename(part.filename || 'model');
+  const ext = path.extname(filename).toLowerCase();
+  const name = path.basename(filename, path.extname(filename)).replace(/[^\w.-]+/g, '_') || 'model';
+
+  if (part.data.length === 0) {
+    throw httpError(400, 'The uploaded model is empty');
+  }
+  if (!isZipData(part.data)) {
+    if (ext === '.zip') {
+      throw httpError(400, `${filename} is not a ZIP archive`);
+    }
+    return { name, model: part.data };
+  }
+
+  let files;
+  try {
+    files = readZip(part.data, { maxBytes: maxModelBytes });
+  } catch (error) {
+    if (/exceed/.test(error.message)) {
+      throw httpError(413, `${filename}: uncompressed files larger than ${maxModelBytes / MB} MB`);
+    }
+    throw httpError(400, `${filename}: ${error.message}`);
+  }
+  const models = [...files.keys()].filter(file => /\.(gltf|glb)$/i.test(file) && !file.startsWith('__MACOSX/'));
+  if (models.length !== 1) {
+    throw httpError(400, `${filename} must hold exactly one .gltf or .glb model (found ${models.length})`);
+  }
+
+  const modelFile = models[0];
+  const modelDir = path.posix.dirname(modelFile);
+  const resources = {};
+  files.forEach((data, file) => {
+    if (file !== modelFile) resources[path.posix.relative(modelDir, file)] = data;
+  });
+  const modelName = path.posix.basename(modelFile, path.posix.extname(modelFile)).replace(/[^\w.-]+/g, '_') || name;
+  return {
+    name: modelName,
+    model: modelFile.toLowerCase().endsWith('.glb') ? files.get(modelFile) : { json: files.get(modelFile), resources }
+  };
+}
+
+// Optimization options sent with a job, as a JSON object
+function parseRequestOptions(value) {
+  if (value === undefined || value.trim() === '') {
+    return {};
+  }
+  let options;
+  try {
+    options = JSON.parse(value);
+  } catch (error) {
+    throw httpError(400, `options must be JSON: ${error.message}`);
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw httpError(400, 'options must be a JSON object');
+  }
+  const serverOnly = SERVER_ONLY_OPTIONS.find(key => key in options);
+  if (serverOnly) {
+    throw httpError(400, `options.${serverOnly} cannot be set over HTTP`);
+  }
+  // Local modules run code from the server: requests only reorder built-in steps
+  if (options.pipeline !== undefined && options.pipeline !== null) {
+    const entries = Array.isArray(options.pipeline) ? options.pipeline : [options.pipeline];
+    const custom = entries.find(entry => !BUILTIN_STEPS.includes(entry && typeof entry === 'object' ? entry.step : entry));
+    if (custom !== undefined) {
+      throw httpError(400, `options.pipeline can only list built-in steps (${BUILTIN_STEPS.join(', ')})`);
+    }
+  }
+  if (options.verify && options.verify.thumbnail && options.verify.thumbnail.outputDir) {
+    throw httpError(400, 'options.verify.thumbnail.outputDir cannot be set over HTTP');
+  }
+  return options;
+}
+
+// Files of an optimized model: [name, data] pairs, the model first, then its
+// resources and LOD levels (which share the model's textures)
+function listOutputFiles(name, output) {
+  const ext = output.buffer.toString('utf8', 0, 4) === 'glTF' ? '.glb' : '.gltf';
+  const files = new Map([[`${name}${ext}`, output.buffer]]);
+  Object.entries(output.resources).forEach(([uri, data]) => files.set(uri, data));
+  output.lods.forEach(level => {
+    files.set(`${name}.lod${level.level}${ext}`, level.buffer);
+    Object.entries(level.resources).forEach(([uri, data]) => files.set(uri, data));
+  });
+  return files;
+}
+
+// Creates the optimization service. Settings:
+// - options: optimizeModel options of every job, or a function (name) -> options;
+//   the options sent with a job are applied on top
+// - concurrency: jobs optimized at a time (default 1)
+// - maxQueue: jobs waiting before new ones are refused with 503 (default 20)
+// - maxUploadBytes: largest request body (default 100 MB)
+// - maxModelBytes: largest uncompressed ZIP bundle (default 250 MB)
+// - jobTtlMs: how long a finished job and its files are kept (default 1 hour)
+// - maxJobs: jobs kept, queued to finished (default 100)
+// - maxResultBytes: total size of the finished jobs' files kept (default 500 MB)
+// Past either limit the oldest finished jobs are dropped first; uploads are
+// refused with 503 while every kept job is still queued or running.
+// - logger: where job and request messages go (default: the default logger)
+// Returns { server, jobs, listen(port, host), close() }.
+function createOptimizationServer(settings = {}) {
+  const {
+    options = {},
+    concurrency = 1,
+    maxQueue = 20,
+    maxUploadBytes = 100 * MB,
+    maxModelBytes = 250 * MB,
+    jobTtlMs = 60 * 60 * 1000,
+    maxJobs = 100,
+    maxResultBytes = 500 * MB
+  } = settings;
+  const logger = settings.logger || getLogger();
+  const getOptions = typeof options === 'function' ? options : () => options;
+
+  const jobs = new Map(); // id -> job
+  const queue = [];
+  let running = 0;
+  let resultBytes = 0; // Size of the files of every kept job
+
+  function removeJob(job) {
+    if (jobs.get(job.id) !== job) return;
+    jobs.delete(job.id);
+    clearTimeout(job.expiry);
+    resultBytes -= job.resultBytes;
+  }
+
+  // Drops the oldest finished jobs until `reserve` more jobs fit and the kept
+  // files are within maxResultBytes. `keep`, the job that just finished, stays.
+  function evictJobs({ keep = null, reserve = 0 } = {}) {
+    for (const job of jobs.values()) {
+      if (jobs.size + reserve <= maxJobs && resultBytes <= maxResultBytes) break;
+      if (job !== keep && job.finishedAt) removeJob(job);
+    }
+  }
+
+  function describeJob(job) {
+    const { result } = job;
+    return {
+      id: job.id,
+      name: job.name,
+      status: job.status,
+      queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      originalBytes: result ? result.originalBytes : null,
+      optimizedBytes: result && result.status === 'success' ? result.optimizedBytes : null,
+      reduction: result && result.status === 'success' ? Number(result.reduction.toFixed(2)) : null,
+      warnings: result ? result.warnings : [],
+      error: job.error,
+      links: {
+        status: `/jobs/${job.id}`,
+        result: `/jobs/${job.id}/result`,
+        report: `/jobs/${job.id}/report`,
+        log: `/jobs/${job.id}/log`
+      }
+    };
+  }
+
+  async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    logger.log(`⚙️  Job ${job.id}: optimizing ${job.name}...`, 'blue');
+
+    // Each job keeps its own log, served with the job
+    const jobLogger = createLogger({ level: 'info', sink: entry => job.logs.push(entry) });
+    try {
+      const { buffer, resources, lods, result } = await optimizeBuffer(job.model, {
+        ...getOptions(job.name),
+        ...job.options,
+        name: job.name,
+        logger: jobLogger
+      });
+      job.result = result;
+      job.output = buffer ? { buffer, resources, lods } : null;
+      job.status = result.status;
+      job.error = result.error;
+    } catch (error) {
+      job.status = 'error';
+      job.error = error.message;
+    }
+    job.model = null;
+    job.finishedAt = new Date().toISOString();
+    if (job.output) {
+      job.resultBytes = [...listOutputFiles(job.name, job.output).values()].reduce((sum, data) => sum + data.length, 0);
+      resultBytes += job.resultBytes;
+    }
+    job.expiry = setTimeout(() => removeJob(job), jobTtlMs);
+    job.expiry.unref();
+    evictJobs({ keep: job });
+
+    if (job.status === 'success') {
+      logger.log(`✅ Job ${job.id}: ${job.name} optimized (${job.result.reduction.toFixed(1)}% smaller)`, 'green');
+    } else {
+      logger.log(`❌ Job ${job.id}: ${job.name} failed - ${job.error}`, 'red');
+    }
+  }
+
+  function startJobs() {
+    while (running < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        startJobs();
+      });
+    }
+  }
+
+  // Reads the `model` file and the `options` field of an upload
+  async function readUpload(req) {
+    const body = await readBody(req, maxUploadBytes);
+    const parts = parseMultipart(body, req.headers['content-type']);
+    const modelPart = parts.find(part => part.name === 'model' && part.filename !== null);
+    if (!modelPart) {
+      throw httpError(400, 'Missing "model" file field');
+    }
+    const optionsPart = parts.find(part => part.name === 'options');
+    return {
+      ...readModelUpload(modelPart, maxModelBytes),
+      options: parseRequestOptions(optionsPart ? optionsPart.data.toString('utf8') : undefined)
+    };
+  }
+
+  async function handleOptimize(req, res) {
+    if (queue.length >= maxQueue) {
+      throw httpError(503, `Queue full (${maxQueue} jobs waiting), try again later`);
+    }
+    // Finished jobs make room for new ones, unfinished ones cannot be dropped
+    if (queue.length + running >= maxJobs) {
+      throw httpError(503, `Job limit reached (${maxJobs} jobs queued or running), try again later`);
+    }
+    const upload = await readUpload(req);
+    const job = {
+      id: crypto.randomUUID(),
+      name: upload.name,
+      status: 'queued',
+      model: upload.model,
+      options: upload.options,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      output: null,
+      logs: [],
+      error: null,
+      resultBytes: 0,
+      expiry: null
+    };
+    evictJobs({ reserve: 1 });
+    jobs.set(job.id, job);
+    queue.push(job);
+    logger.log(`📥 Job ${job.id}: ${job.name} queued`, 'blue');
+    startJobs();
+    sendJson(res, 202, describeJob(job), { Location: `/jobs/${job.id}` });
+  }
+
+  async function handleValidate(req, res) {
+    const { name, model } = await readUpload(req);
+    const { filePath, ...validation } = validateGltfFile(model);
+    sendJson(res, 200, { name, ...validation });
+  }
+
+  function handleResult(job, res) {
+    if (job.status === 'queued' || job.status === 'running') {
+      throw httpError(409, `Job is ${job.status}`);
+    }
+    if (!job.output) {
+      throw httpError(422, `Optimization failed: ${job.error}`);
+    }
+    const files = listOutputFiles(job.name, job.output);
+    // A lone model file is sent as is, anything else as a ZIP bundle
+    if (files.size === 1) {
+      const [[fileName, data]] = [...files];
+      const contentType = fileName.endsWith('.glb') ? 'model/gltf-binary' : 'model/gltf+json';
+      res.writeHead(200, { 'Content-Type': contentType, 'Content-Disposition': `attachment; filename="${fileName}"` });
+      res.end(data);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/zip', 'Content-Disposition': `attachment; filename="${job.name}.zip"` });
+    res.end(writeZip(files));
+  }
+
+  function handleReport(job, res, format) {
+    if (!job.result) {
+      throw httpError(409, `Job is ${job.status}`);
+    }
+    let content;
+    try {
+      content = formatReport(buildReport([job.result]), format);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    const contentTypes = { csv: 'text/csv', markdown: 'text/markdown', md: 'text/markdown' };
+    res.writeHead(200, { 'Content-Type': `${contentTypes[format] || 'application/json'}; charset=utf-8` });
+    res.end(content);
+  }
+
+  // Routes: POST /optimize, POST /validate, GET /health, GET /jobs,
+  // GET /jobs/:id, GET /jobs/:id/result, GET /jobs/:id/report, GET /jobs/:id/log
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean);
+    const expect = method => {
+      if (req.method !== method) {
+        throw httpError(405, `${req.method} is not allowed on ${url.pathname}`);
+      }
+    };
+
+    if (url.pathname === '/optimize') {
+      expect('POST');
+      return handleOptimize(req, res);
+    }
+    if (url.pathname === '/validate') {
+      expect('POST');
+      return handleValidate(req, res);
+    }
+    if (url.pathname === '/health') {
+      expect('GET');
+      return sendJson(res, 200, { status: 'ok', running, queued: queue.length, jobs: jobs.size, resultBytes, concurrency, maxQueue, maxJobs });
+    }
+    if (segments[0] === 'jobs' && segments.length <= 3) {
+      expect('GET');
+      if (segments.length === 1) {
+        return sendJson(res, 200, [...jobs.values()].map(describeJob));
+      }
+      const job = jobs.get(segments[1]);
+      if (!job) {
+        throw httpError(404, `Unknown job: ${segments[1]}`);
+      }
+      switch (segments[2]) {
+        case undefined:
+          return sendJson(res, 200, describeJob(job));
+        case 'result':
+          return handleResult(job, res);
+        case 'report':
+          return handleReport(job, res, url.searchParams.get('format') || 'json');
+        case 'log':
+          return sendJson(res, 200, job.logs.map(({ color, ...entry }) => entry));
+      }
+    }
+    throw httpError(404, `Not found: ${url.pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch(error => {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        logger.log(`❌ ${req.method} ${req.url}: ${error.message}`, 'red');
+      }
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      // A request refused before its body was read is drained, as in readBody()
+      req.resume();
+      sendJson(res, statusCode, { error: error.message }, statusCode === 503 ? { 'Retry-After': '30' } : {});
+    });
+  });
+
+  return {
+    server,
+    jobs,
+    // Resolves with { host, port, url } once the server accepts connections
+    listen(port = 8080, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          const address = server.address();
+          resolve({ host: address.address, port: address.port, url: `http://${host}:${address.port}` });
+        });
+      });
+    },
+    // Stops accepting connections; running jobs are abandoned
+    close() {
+      queue.length = 0;
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        if (server.closeAllConnections) server.closeAllConnections();
+      });
+    }
+  };
+}
+
+module.exports = {
+  createOptimizationServer
+};
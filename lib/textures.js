@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { PropertyType, TextureChannel } = require('@gltf-transform/core');
+const { EXTTextureWebP, EXTTextureAVIF, KHRTextureBasisu } = require('@gltf-transform/extensions');
+const { compressTexture, getTextureChannelMask, getTextureColorSpace, listTextureSlots } = require('@gltf-transform/functions');
+const picomatch = require('picomatch');
+const sharp = require('sharp');
+const { MAX_TEXTURE_SIZE } = require('./optimize');
+
+// Accepted values of the textureFormat option
+const TEXTURE_FORMATS = ['webp', 'avif', 'jpeg', 'png', 'ktx2-etc1s', 'ktx2-uastc', 'keep'];
+
+// Material slots that can get their own format, mapped to gltf-transform slot names
+const TEXTURE_SLOTS = {
+  baseColor: 'baseColorTexture',
+  normal: 'normalTexture',
+  metallicRoughness: 'metallicRoughnessTexture',
+  occlusion: 'occlusionTexture',
+  emissive: 'emissiveTexture'
+};
+
+// A texture shared by several slots follows the first configured one in this
+// order: data maps suffer more from lossy color encoding than color maps
+const SLOT_PRIORITY = ['normal', 'metallicRoughness', 'occlusion', 'emissive', 'baseColor'];
+
+// Source formats sharp can decode
+const DECODABLE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
+
+function toPolicy(value, fallbackQuality, name) {
+  const policy = typeof value === 'string' ? { format: value } : { ...value };
+  if (!TEXTURE_FORMATS.includes(policy.format)) {
+    throw new Error(`Unsupported textureFormat${name ? ` for ${name}` : ''}: ${policy.format} (expected ${TEXTURE_FORMATS.join(', ')})`);
+  }
+  if (policy.quality === undefined) {
+    policy.quality = fallbackQuality;
+  }
+  if (policy.quality !== undefined && !(policy.quality >= 0 && policy.quality <= 100)) {
+    throw new Error(`Texture quality${name ? ` for ${name}` : ''} must be between 0 and 100 (got ${policy.quality})`);
+  }
+  return policy;
+}
+
+// Normalizes textureFormat, either a format name or a per-slot object such as
+// { default: 'webp', normal: 'ktx2-uastc', baseColor: { format: 'webp', quality: 90 } }
+function resolveTexturePolicies(textureFormat = 'webp', textureQuality) {
+  const config = typeof textureFormat === 'string' ? { default: textureFormat } : { ...textureFormat };
+
+  Object.keys(config).forEach(key => {
+    if (key !== 'default' && !TEXTURE_SLOTS[key]) {
+      throw new Error(`Unknown texture slot: ${key} (expected default, ${Object.keys(TEXTURE_SLOTS).join(', ')})`);
+    }
+  });
+
+  const policies = { default: toPolicy(config.default || 'webp', textureQuality), slots: {} };
+  Object.keys(TEXTURE_SLOTS).forEach(slot => {
+    if (config[slot] !== undefined) {
+      policies.slots[slot] = toPolicy(config[slot], policies.default.quality, slot);
+    }
+  });
+  return policies;
+}
+
+// Short description of the policies for logs, e.g. "webp, normal: ktx2-uastc"
+function describeTexturePolicies(policies) {
+  const describe = policy => policy.quality === undefined ? policy.format : `${policy.format} q${policy.quality}`;
+  return [
+    describe(policies.default),
+    ...Object.keys(policies.slots).map(slot => `${slot}: ${describe(policies.slots[slot])}`)
+  ].join(', ');
+}
+
+function isKeepingAllTextures(policies) {
+  return [policies.default, ...Object.values(policies.slots)].every(policy => policy.format === 'keep');
+}
+
+function getTexturePolicy(texture, policies) {
+  const slots = listTextureSlots(texture);
+  const slot = SLOT_PRIORITY.find(name => policies.slots[name] && slots.includes(TEXTURE_SLOTS[name]));
+  return slot ? policies.slots[slot] : policies.default;
+}
+
+function getTextureLabel(texture, index) {
+  return texture.getURI() || texture.getName() || `texture ${index + 1}`;
+}
+
+// Names a resize override can match: texture name, URI (and its file name) and
+// the names of the materials using the texture
+function getTextureMatchNames(texture) {
+  const uri = texture.getURI();
+  const materials = texture.listParents().filter(parent => parent.propertyType === PropertyType.MATERIAL);
+  return [texture.getName(), uri, uri && path.posix.basename(uri), ...materials.map(material => material.getName())]
+    .filter(Boolean);
+}
+
+// Maximum sizes are at least 1px (0 would shrink every texture to 1x1);
+// minimum sizes can be 0, for no floor
+function checkSize(value, name, { allowZero = false } = {}) {
+  if (!(Number.isInteger(value) && value >= (allowZero ? 0 : 1))) {
+    throw new Error(`${name} must be a ${allowZero ? 'whole' : 'positive whole'} number of pixels (got ${value})`);
+  }
+  return value;
+}
+
+// Normalizes the resize options. maxTextureSize is a number or a per-slot object
+// such as { default: 1024, normal: 2048, occlusion: 512 }; textureResizeOverrides
+// is a list of { match, maxSize, minSize, powerOfTwo } where `match` is a glob
+// (or list of globs) tested against texture and material names
+function resolveResizePolicies({
+  maxTextureSize = MAX_TEXTURE_SIZE,
+  minTextureSize = 0,
+  powerOfTwo = false,
+  textureResizeOverrides = []
+} = {}) {
+  const config = typeof maxTextureSize === 'object' && maxTextureSize !== null
+    ? { ...maxTextureSize }
+    : { default: maxTextureSize };
+
+  Object.keys(config).forEach(key => {
+    if (key !== 'default' && !TEXTURE_SLOTS[key]) {
+      throw new Error(`Unknown texture slot: ${key} (expected default, ${Object.keys(TEXTURE_SLOTS).join(', ')})`);
+    }
+  });
+
+  const toPolicy = (maxSize, name) => ({
+    maxSize: checkSize(maxSize, name),
+    minSize: checkSize(minTextureSize, 'minTextureSize', { allowZero: true }),
+    powerOfTwo: Boolean(powerOfTwo)
+  });
+
+  const policies = {
+    default: toPolicy(config.default === undefined ? MAX_TEXTURE_SIZE : config.default, 'maxTextureSize'),
+    slots: {},
+    overrides: []
+  };
+  Object.keys(TEXTURE_SLOTS).forEach(slot => {
+    if (config[slot] !== undefined) {
+      policies.slots[slot] = toPolicy(config[slot], `maxTextureSize.${slot}`);
+    }
+  });
+
+  (textureResizeOverrides || []).forEach((override, index) => {
+    if (!override || !override.match) {
+      throw new Error(`textureResizeOverrides[${index}] needs a "match" glob`);
+    }
+    ['maxSize', 'minSize'].forEach(key => {
+      if (override[key] !== undefined) {
+        checkSize(override[key], `textureResizeOverrides[${index}].${key}`, { allowZero: key === 'minSize' });
+      }
+    });
+    policies.overrides.push({ ...override, isMatch: picomatch(override.match, { dot: true }) });
+  });
+
+  return policies;
+}
+
+// Short description of the resize rules for logs, e.g. "max 1024px, normal: 2048px, power of two"
+function describeResizePolicies(policies) {
+  return [
+    `max ${policies.default.maxSize}px`,
+    ...Object.keys(policies.slots).map(slot => `${slot}: ${policies.slots[slot].maxSize}px`),
+    ...(policies.default.minSize > 0 ? [`min ${policies.default.minSize}px`] : []),
+    ...(policies.default.powerOfTwo ? ['power of two'] : []),
+    ...(policies.overrides.length > 0 ? [`${policies.overrides.length} override(s)`] : [])
+  ].join(', ');
+}
+
+// Slot rule first, then the first override whose glob matches the texture
+function getResizePolicy(texture, policies) {
+  const policy = getTexturePolicy(texture, policies);
+  const names = getTextureMatchNames(texture);
+  const override = policies.overrides.find(candidate => names.some(name => candidate.isMatch(name)));
+  if (!override) {
+    return policy;
+  }
+  const { maxSize = policy.maxSize, minSize = policy.minSize, powerOfTwo = policy.powerOfTwo } = override;
+  return { maxSize, minSize, powerOfTwo: Boolean(powerOfTwo) };
+}
+
+// Target size for a texture: fits within maxSize keeping the aspect ratio, never
+// upscales, and keeps both sides at or above minSize (the floor wins over maxSize).
+// Power-of-two snapping rounds down unless that would break the floor.
+function getTargetSize([width, height], { maxSize, minSize, powerOfTwo }) {
+  const longSide = Math.max(width, height);
+  const shortSide = Math.min(width, height);
+  const scale = Math.min(1, Math.max(maxSize / longSide, minSize / shortSide));
+  let size = [width, height].map(side => Math.max(1, Math.round(side * scale)));
+
+  if (powerOfTwo) {
+    size = size.map((side, axis) => {
+      const source = axis === 0 ? width : height;
+      const lower = 2 ** Math.floor(Math.log2(side));
+      if (lower >= Math.min(minSize, source)) return lower;
+      return lower * 2 <= source ? lower * 2 : side;
+    });
+  }
+  return size;
+}
+
+// Current size, slots and format of every texture, keyed by texture
+function listTextureInfo(document) {
+  const info = new Map();
+  document.getRoot().listTextures().forEach((texture, index) => {
+    const [width, height] = texture.getSize() || [null, null];
+    info.set(texture, {
+      name: getTextureLabel(texture, index),
+      slots: listTextureSlots(texture),
+      width,
+      height,
+      mimeType: texture.getMimeType()
+    });
+  });
+  return info;
+}
+
+// Resizes every texture according to its resize policy. Returns the textures
+// that were resized and warnings for the ones that could not be.
+async function resizeTextureImages(document, policies) {
+  const resized = [];
+  const warnings = [];
+
+  for (const [index, texture] of document.getRoot().listTextures().entries()) {
+    const label = getTextureLabel(texture, index);
+    const size = texture.getSize();
+    if (!size || !DECODABLE_MIME_TYPES.includes(texture.getMimeType())) {
+      warnings.push(`${label}: ${texture.getMimeType()} cannot be resized, kept as is`);
+      continue;
+    }
+
+    const [width, height] = getTargetSize(size, getResizePolicy(texture, policies));
+    if (width === size[0] && height === size[1]) {
+      continue;
+    }
+
+    try {
+      const format = texture.getMimeType().replace('image/', '');
+      const image = await sharp(texture.getImage())
+        .resize(width, height, { fit: 'fill', kernel: 'lanczos3' })
+        .toFormat(format)
+        .toBuffer();
+      texture.setImage(new Uint8Array(image.buffer, image.byteOffset, image.byteLength));
+      resized.push({ name: label, from: size, to: [width, height] });
+    } catch (error) {
+      warnings.push(`${label}: resize failed, kept at ${size[0]}x${size[1]} (${error.message})`);
+    }
+  }
+
+  return { resized, warnings };
+}
+
+// The Basis Universal encoder is loaded from ktx2-encoder's WASM build. Its
+// module is created here rather than through encodeToKTX2 so that the
+// encoder's diagnostics can be kept off stdout.
+let basisEncoderPromise = null;
+
+function getBasisEncoder() {
+  if (!basisEncoderPromise) {
+    basisEncoderPromise = (async () => {
+      const { NodeBasisEncoder } = await import('ktx2-encoder');
+      const basisPath = require.resolve.paths('ktx2-encoder')
+        .map(dir => path.join(dir, 'ktx2-encoder', 'dist', 'basis', 'basis_encoder.js'))
+        .find(file => fs.existsSync(file));
+      if (!basisPath) {
+        throw new Error('Basis Universal encoder not found, reinstall ktx2-encoder');
+      }
+      const { default: BASIS } = await import(pathToFileURL(basisPath).href);
+
+      const encoder = new NodeBasisEncoder();
+      encoder.modulePromise = BASIS({ print() {}, printErr() {} }).then(basis => {
+        basis.initializeBasis();
+        return basis;
+      });
+      return encoder;
+    })();
+    basisEncoderPromise.catch(() => {
+      basisEncoderPromise = null;
+    });
+  }
+  return basisEncoderPromise;
+}
+
+// Decodes to raw RGBA for the Basis encoder. KHR_texture_basisu requires
+// dimensions that are multiples of 4, so other sizes are snapped to the nearest one.
+async function decodeForBasis(image) {
+  const { width, height } = await sharp(image).metadata();
+  const snap = size => Math.max(4, Math.round(size / 4) * 4);
+  let instance = sharp(image).ensureAlpha();
+  if (width % 4 !== 0 || height % 4 !== 0) {
+    instance = instance.resize(snap(width), snap(height), { fit: 'fill' });
+  }
+  const { data, info } = await instance.raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+async function encodeKtx2(texture, policy) {
+  const encoder = await getBasisEncoder();
+  const slots = listTextureSlots(texture);
+  const isColor = getTextureColorSpace(texture) === 'srgb';
+  const isUASTC = policy.format === 'ktx2-uastc';
+  const encoderOptions = {
+    isUASTC,
+    isNormalMap: slots.some(slot => /normal/i.test(slot)),
+    isPerceptual: isColor,
+    isSetKTX2SRGBTransferFunc: isColor,
+    generateMipmap: true,
+    needSupercompression: isUASTC,
+    imageDecoder: decodeForBasis
+  };
+  // Map the 0-100 quality scale onto each mode's own range
+  if (policy.quality !== undefined) {
+    if (isUASTC) {
+      encoderOptions.uastcLDRQualityLevel = Math.min(4, Math.round(policy.quality / 25));
+    } else {
+      encoderOptions.qualityLevel = Math.max(1, Math.round(policy.quality * 2.55));
+    }
+  }
+
+  const image = await encoder.encode(texture.getImage(), encoderOptions);
+  const uri = texture.getURI();
+  texture
+    .setImage(image)
+    .setMimeType('image/ktx2')
+    .setURI(uri ? uri.replace(/\.[^./\\]+$/, '') + '.ktx2' : uri);
+}
+
+// Re-encodes every texture according to its slot policy. Returns the number of
+// textures that were encoded and warnings for the ones that had to be left as is.
+async function encodeTextures(document, policies) {
+  const textures = document.getRoot().listTextures();
+  const warnings = [];
+  let encoded = 0;
+
+  // One texture at a time: the WASM encoder and sharp both use the whole CPU
+  for (const [index, texture] of textures.entries()) {
+    const policy = getTexturePolicy(texture, policies);
+    const label = getTextureLabel(texture, index);
+
+    if (policy.format === 'keep') {
+      continue;
+    }
+    if (!DECODABLE_MIME_TYPES.includes(texture.getMimeType())) {
+      warnings.push(`${label}: ${texture.getMimeType()} cannot be re-encoded, kept as is`);
+      continue;
+    }
+
+    if (policy.format === 'jpeg' && getTextureChannelMask(texture) & TextureChannel.A) {
+      warnings.push(`${label}: uses its alpha channel, kept as ${texture.getMimeType()} instead of JPEG`);
+      continue;
+    }
+
+    // A texture that cannot be encoded (e.g. a corrupt image) keeps its
+    // original image, so the others and the extensions below stay consistent
+    const original = { image: texture.getImage(), mimeType: texture.getMimeType(), uri: texture.getURI() };
+    try {
+      if (policy.format.startsWith('ktx2-')) {
+        await encodeKtx2(texture, policy);
+      } else {
+        const compressOptions = { encoder: sharp, targetFormat: policy.format };
+        if (policy.quality !== undefined) {
+          compressOptions.quality = policy.quality;
+        }
+        await compressTexture(texture, compressOptions);
+      }
+      encoded++;
+    } catch (error) {
+      texture.setImage(original.image).setMimeType(original.mimeType).setURI(original.uri);
+      warnings.push(`${label}: could not be encoded as ${policy.format}, kept as ${original.mimeType} (${error.message})`);
+    }
+  }
+
+  // Declare the extensions the new formats depend on, drop the ones no longer used
+  [
+    [EXTTextureWebP, 'image/webp'],
+    [EXTTextureAVIF, 'image/avif'],
+    [KHRTextureBasisu, 'image/ktx2']
+  ].forEach(([Extension, mimeType]) => {
+    const extension = document.createExtension(Extension);
+    if (textures.some(texture => texture.getMimeType() === mimeType)) {
+      extension.setRequired(true);
+    } else {
+      extension.dispose();
+    }
+  });
+
+  return { encoded, warnings };
+}
+
+module.exports = {
+  TEXTURE_FORMATS,
+  TEXTURE_SLOTS,
+  resolveTexturePolicies,
+  describeTexturePolicies,
+  isKeepingAllTextures,
+  encodeTextures,
+  resolveResizePolicies,
+  describeResizePolicies,
+  getTargetSize,
+  listTextureInfo,
+  resizeTextureImages
+};
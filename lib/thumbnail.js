@@ -0,0 +1,261 @@
+const sharp = require('sharp');
+const { getBounds } = require('@gltf-transform/core');
+
+// Camera angles (yaw, pitch in degrees) of the rendered views
+const THUMBNAIL_VIEWS = {
+  front: [0, 0],
+  angled: [45, 30]
+};
+
+// Texture formats sharp can decode; KTX2 cannot be sampled on the CPU
+const DECODABLE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
+
+// Directional light in view space, plus ambient
+const LIGHT = normalize([0.3, 0.5, 0.8]);
+const AMBIENT = 0.3;
+
+const TRIANGLES = 4;
+
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+// Bounds of every scene of a document, or null when nothing is drawn
+function getDocumentBounds(document) {
+  const bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+  document.getRoot().listScenes().forEach(scene => {
+    const sceneBounds = getBounds(scene);
+    for (let i = 0; i < 3; i++) {
+      bounds.min[i] = Math.min(bounds.min[i], sceneBounds.min[i]);
+      bounds.max[i] = Math.max(bounds.max[i], sceneBounds.max[i]);
+    }
+  });
+  return Number.isFinite(bounds.min[0]) ? bounds : null;
+}
+
+// Rotation taking world directions to view space, the camera looking down -Z
+function getViewRotation([yaw, pitch]) {
+  const y = yaw * Math.PI / 180;
+  const p = pitch * Math.PI / 180;
+  const [cy, sy, cp, sp] = [Math.cos(y), Math.sin(y), Math.cos(p), Math.sin(p)];
+  return [
+    [cy, 0, -sy],
+    [sy * sp, cp, cy * sp],
+    [sy * cp, -sp, cy * cp]
+  ];
+}
+
+function rotate(rotation, v) {
+  return rotation.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+// Base color textures decoded to small RGBA buffers, keyed by texture
+async function decodeBaseColorTextures(document, maxSize) {
+  const decoded = new Map();
+  for (const material of document.getRoot().listMaterials()) {
+    const texture = material.getBaseColorTexture();
+    if (!texture || decoded.has(texture) || !texture.getImage()) continue;
+    const { data, info } = await sharp(Buffer.from(texture.getImage()))
+      .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    decoded.set(texture, { data, width: info.width, height: info.height });
+  }
+  return decoded;
+}
+
+// Whether every base color texture of the document can be sampled
+function canSampleTextures(document) {
+  return document.getRoot().listMaterials().every(material => {
+    const texture = material.getBaseColorTexture();
+    return !texture || DECODABLE_MIME_TYPES.includes(texture.getMimeType());
+  });
+}
+
+function sampleTexture(texture, u, v) {
+  const x = Math.min(texture.width - 1, Math.floor((u - Math.floor(u)) * texture.width));
+  const y = Math.min(texture.height - 1, Math.floor((v - Math.floor(v)) * texture.height));
+  const offset = (y * texture.width + x) * 4;
+  return [texture.data[offset] / 255, texture.data[offset + 1] / 255, texture.data[offset + 2] / 255, texture.data[offset + 3] / 255];
+}
+
+// Renders a document with an orthographic camera framing `bounds`: base color
+// (texture and factor) with Lambert shading from the vertex normals, so flipped
+// normals, broken UVs and texture banding show up. Returns RGBA pixels, with
+// alpha 0 where nothing is drawn.
+function rasterize(document, { size, view, bounds, textures }) {
+  const pixels = Buffer.alloc(size * size * 4);
+  const depth = new Float32Array(size * size).fill(-Infinity);
+
+  const rotation = getViewRotation(THUMBNAIL_VIEWS[view]);
+  const center = [0, 1, 2].map(i => (bounds.min[i] + bounds.max[i]) / 2);
+  const extent = Math.hypot(...[0, 1, 2].map(i => bounds.max[i] - bounds.min[i])) || 1;
+  const toScreen = world => {
+    const q = rotate(rotation, [world[0] - center[0], world[1] - center[1], world[2] - center[2]]);
+    return [(q[0] / extent + 0.5) * size, (0.5 - q[1] / extent) * size, q[2]];
+  };
+
+  const drawTriangle = (screen, normals, uvs, material) => {
+    const [a, b, c] = screen;
+    const area = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    if (area === 0) return;
+
+    const factor = material ? material.getBaseColorFactor() : [1, 1, 1, 1];
+    const texture = material && uvs ? textures.get(material.getBaseColorTexture()) : null;
+    const alphaCutoff = material && material.getAlphaMode() === 'MASK' ? material.getAlphaCutoff() : -1;
+
+    const minX = Math.max(0, Math.floor(Math.min(a[0], b[0], c[0])));
+    const maxX = Math.min(size - 1, Math.ceil(Math.max(a[0], b[0], c[0])));
+    const minY = Math.max(0, Math.floor(Math.min(a[1], b[1], c[1])));
+    const maxY = Math.min(size - 1, Math.ceil(Math.max(a[1], b[1], c[1])));
+
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const px = x + 0.5;
+        const py = y + 0.5;
+        const w0 = ((b[0] - px) * (c[1] - py) - (b[1] - py) * (c[0] - px)) / area;
+        const w1 = ((c[0] - px) * (a[1] - py) - (c[1] - py) * (a[0] - px)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+        const z = w0 * a[2] + w1 * b[2] + w2 * c[2];
+        const index = y * size + x;
+        if (z <= depth[index]) continue;
+
+        let color = factor;
+        if (texture) {
+          const texel = sampleTexture(texture,
+            w0 * uvs[0][0] + w1 * uvs[1][0] + w2 * uvs[2][0],
+            w0 * uvs[0][1] + w1 * uvs[1][1] + w2 * uvs[2][1]);
+          color = factor.map((value, channel) => value * texel[channel]);
+        }
+        if (color[3] < alphaCutoff) continue;
+
+        const normal = normalize([0, 1, 2].map(i => w0 * normals[0][i] + w1 * normals[1][i] + w2 * normals[2][i]));
+        const light = AMBIENT + (1 - AMBIENT) * Math.max(0, normal[0] * LIGHT[0] + normal[1] * LIGHT[1] + normal[2] * LIGHT[2]);
+
+        depth[index] = z;
+        pixels[index * 4] = Math.min(255, Math.round(color[0] * light * 255));
+        pixels[index * 4 + 1] = Math.min(255, Math.round(color[1] * light * 255));
+        pixels[index * 4 + 2] = Math.min(255, Math.round(color[2] * light * 255));
+        pixels[index * 4 + 3] = 255;
+      }
+    }
+  };
+
+  document.getRoot().listScenes().forEach(scene => {
+    scene.traverse(node => {
+      const mesh = node.getMesh();
+      if (!mesh) return;
+
+      // Normals go through the cofactor matrix (inverse transpose up to scale),
+      // with the sign of the determinant for mirrored nodes
+      const m = node.getWorldMatrix();
+      const columns = [[m[0], m[1], m[2]], [m[4], m[5], m[6]], [m[8], m[9], m[10]]];
+      const cofactors = [cross(columns[1], columns[2]), cross(columns[2], columns[0]), cross(columns[0], columns[1])];
+      const sign = Math.sign(cofactors[0][0] * columns[0][0] + cofactors[0][1] * columns[0][1] + cofactors[0][2] * columns[0][2]) || 1;
+      const transformPoint = p => [0, 1, 2].map(i => m[i] * p[0] + m[4 + i] * p[1] + m[8 + i] * p[2] + m[12 + i]);
+      const transformNormal = n => rotate(rotation, normalize([0, 1, 2].map(i =>
+        sign * (cofactors[0][i] * n[0] + cofactors[1][i] * n[1] + cofactors[2][i] * n[2]))));
+
+      mesh.listPrimitives().forEach(prim => {
+        const position = prim.getAttribute('POSITION');
+        if (!position || prim.getMode() !== TRIANGLES) return;
+
+        const material = prim.getMaterial();
+        const textureInfo = material && material.getBaseColorTexture() ? material.getBaseColorTextureInfo() : null;
+        const texcoord = textureInfo && textures.has(material.getBaseColorTexture())
+          ? prim.getAttribute(`TEXCOORD_${textureInfo.getTexCoord()}`)
+          : null;
+        const normal = prim.getAttribute('NORMAL');
+        const indices = prim.getIndices();
+        const count = indices ? indices.getCount() : position.getCount();
+
+        const element = [];
+        for (let i = 0; i + 2 < count; i += 3) {
+          const vertices = [0, 1, 2].map(k => (indices ? indices.getScalar(i + k) : i + k));
+          const world = vertices.map(vertex => transformPoint(position.getElement(vertex, element).slice(0, 3)));
+          // Flat normal from the winding when the primitive has no normals
+          const flat = normal ? null : normalize(cross(
+            [0, 1, 2].map(j => world[1][j] - world[0][j]),
+            [0, 1, 2].map(j => world[2][j] - world[0][j])));
+          drawTriangle(
+            world.map(toScreen),
+            vertices.map(vertex => transformNormal(normal ? normal.getElement(vertex, element).slice(0, 3) : flat)),
+            texcoord ? vertices.map(vertex => texcoord.getElement(vertex, element).slice(0, 2)) : null,
+            material
+          );
+        }
+      });
+    });
+  });
+
+  return pixels;
+}
+
+// Renders every view of a document. `bounds` frames the camera, so passing the
+// same bounds for two documents renders them from the same point of view.
+async function renderThumbnails(document, { size = 128, bounds = getDocumentBounds(document), textures = true } = {}) {
+  const decoded = textures ? await decodeBaseColorTextures(document, size * 2) : new Map();
+  const views = {};
+  Object.keys(THUMBNAIL_VIEWS).forEach(view => {
+    views[view] = bounds ? rasterize(document, { size, view, bounds, textures: decoded }) : Buffer.alloc(size * size * 4);
+  });
+  return views;
+}
+
+// Mean color difference (0 to 1) over the pixels either image draws; a pixel
+// only one of them draws counts as fully different. Also returns a diff image.
+function diffThumbnails(a, b) {
+  const diff = Buffer.alloc(a.length);
+  let total = 0;
+  let drawn = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    if (a[i + 3] === 0 && b[i + 3] === 0) continue;
+    const difference = a[i + 3] === 0 || b[i + 3] === 0
+      ? 1
+      : (Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2])) / (3 * 255);
+    total += difference;
+    drawn++;
+    diff[i] = Math.round(difference * 255);
+    diff[i + 3] = 255;
+  }
+  return { score: drawn > 0 ? total / drawn : 0, diff };
+}
+
+// Writes a PNG grid with one row per view: source, output and difference
+async function writeThumbnailSheet(filePath, rows, size) {
+  const columns = rows[0].length;
+  const sheet = Buffer.alloc(columns * size * rows.length * size * 4);
+  rows.forEach((images, row) => {
+    images.forEach((pixels, column) => {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const from = (y * size + x) * 4;
+          const to = (((row * size + y) * columns * size) + column * size + x) * 4;
+          const background = pixels[from + 3] === 0;
+          sheet[to] = background ? 48 : pixels[from];
+          sheet[to + 1] = background ? 48 : pixels[from + 1];
+          sheet[to + 2] = background ? 48 : pixels[from + 2];
+          sheet[to + 3] = 255;
+        }
+      }
+    });
+  });
+  await sharp(sheet, { raw: { width: columns * size, height: rows.length * size, channels: 4 } }).png().toFile(filePath);
+}
+
+module.exports = {
+  THUMBNAIL_VIEWS,
+  getDocumentBounds,
+  canSampleTextures,
+  renderThumbnails,
+  diffThumbnails,
+  writeThumbnailSheet
+};
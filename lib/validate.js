@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+
+// Byte size of each accessor componentType
+const COMPONENT_SIZES = {
+  5120: 1, // BYTE
+  5121: 1, // UNSIGNED_BYTE
+  5122: 2, // SHORT
+  5123: 2, // UNSIGNED_SHORT
+  5125: 4, // UNSIGNED_INT
+  5126: 4  // FLOAT
+};
+
+// Number of components of each accessor type
+const TYPE_COMPONENTS = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16
+};
+
+const MATERIAL_TEXTURE_SLOTS = [
+  ['pbrMetallicRoughness', 'baseColorTexture'],
+  ['pbrMetallicRoughness', 'metallicRoughnessTexture'],
+  ['normalTexture'],
+  ['occlusionTexture'],
+  ['emissiveTexture']
+];
+
+let supportedExtensions = null;
+
+// Extensions this tool can read and write (everything registered on its NodeIO)
+function getSupportedExtensions() {
+  if (!supportedExtensions) {
+    const { ALL_EXTENSIONS } = require('@gltf-transform/extensions');
+    const { MSFT_LOD } = require('./lod');
+    supportedExtensions = [...ALL_EXTENSIONS.map(extension => extension.EXTENSION_NAME), MSFT_LOD];
+  }
+  return supportedExtensions;
+}
+
+function toPointer(...segments) {
+  return segments.map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+function hasValidByteLength(view) {
+  return Number.isInteger(view.byteLength) && view.byteLength >= 1;
+}
+
+// Element size in bytes, including the column padding matrices of 1- and 2-byte components need
+function getElementSize(accessor) {
+  const componentSize = COMPONENT_SIZES[accessor.componentType];
+  const components = TYPE_COMPONENTS[accessor.type];
+  if (accessor.type === 'MAT2' && componentSize === 1) return 8;
+  if (accessor.type === 'MAT3' && componentSize < 4) return 12 * componentSize;
+  return componentSize * components;
+}
+
+// Loads the binary data of each buffer: GLB BIN chunk, data: URI or external file.
+// Entries are null when the data cannot be found. For a model held in memory,
+// `resources` maps the decoded URIs to their data instead of the filesystem.
+function loadBufferData(filePath, gltf, binChunk = null, resources = null) {
+  return (gltf.buffers || []).map((buffer, index) => {
+    if (!buffer.uri) {
+      return index === 0 && binChunk ? binChunk : null;
+    }
+    if (buffer.uri.startsWith('data:')) {
+      const commaIndex = buffer.uri.indexOf(',');
+      return commaIndex >= 0 ? Buffer.from(buffer.uri.slice(commaIndex + 1), 'base64') : null;
+    }
+    try {
+      if (resources) {
+        return resources.get(decodeURIComponent(buffer.uri)) || null;
+      }
+      return fs.readFileSync(path.resolve(path.dirname(filePath), decodeURIComponent(buffer.uri)));
+    } catch (error) {
+      return null;
+    }
+  });
+}
+
+// Structural validation of a parsed glTF JSON document. Returns a list of
+// { severity: 'error' | 'warning' | 'info', code, message, pointer } issues.
+function validateGltfJson(gltf, context = {}) {
+  const { bufferData = [], extensions = getSupportedExtensions() } = context;
+  const issues = [];
+
+  function report(severity, code, message, pointer) {
+    issues.push({ severity, code, message, pointer });
+  }
+
+  function list(name) {
+    return Array.isArray(gltf[name]) ? gltf[name] : [];
+  }
+
+  // Checks that `index` points into the top-level `target` array
+  function checkIndex(index, target, pointer) {
+    if (index === undefined) {
+      return false;
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= list(target).length) {
+      report('error', 'INDEX_OUT_OF_RANGE', `Index ${index} is out of range for ${target} (${list(target).length} items)`, pointer);
+      return false;
+    }
+    return true;
+  }
+
+  const referenced = { meshes: new Set(), materials: new Set(), textures: new Set() };
+  const positionAccessors = new Set();
+
+  // Extensions
+  const used = gltf.extensionsUsed || [];
+  (gltf.extensionsRequired || []).forEach((name, i) => {
+    if (!extensions.includes(name)) {
+      report('error', 'UNSUPPORTED_EXTENSION', `Required extension ${name} is not supported`, toPointer('extensionsRequired', i));
+    }
+    if (!used.includes(name)) {
+      report('error', 'REQUIRED_EXTENSION_NOT_USED', `Required extension ${name} is missing from extensionsUsed`, toPointer('extensionsRequired', i));
+    }
+  });
+  used.forEach((name, i) => {
+    if (!extensions.includes(name) && !(gltf.extensionsRequired || []).includes(name)) {
+      report('warning', 'UNKNOWN_EXTENSION', `Extension ${name} is not supported and will be dropped`, toPointer('extensionsUsed', i));
+    }
+  });
+
+  // Scenes
+  checkIndex(gltf.scene, 'scenes', toPointer('scene'));
+  list('scenes').forEach((scene, i) => {
+    (scene.nodes || []).forEach((node, j) => checkIndex(node, 'nodes', toPointer('scenes', i, 'nodes', j)));
+  });
+
+  // Nodes and hierarchy
+  const parents = new Map();
+  list('nodes').forEach((node, i) => {
+    (node.children || []).forEach((child, j) => {
+      const pointer = toPointer('nodes', i, 'children', j);
+      if (!checkIndex(child, 'nodes', pointer)) return;
+      if (child === i) {
+        report('error', 'NODE_SELF_PARENT', `Node ${i} lists itself as a child`, pointer);
+      } else if (parents.has(child)) {
+        report('error', 'NODE_MULTIPLE_PARENTS', `Node ${child} has several parents (${parents.get(child)} and ${i})`, pointer);
+      } else {
+        parents.set(child, i);
+      }
+    });
+    if (checkIndex(node.mesh, 'meshes', toPointer('nodes', i, 'mesh'))) referenced.meshes.add(node.mesh);
+    checkIndex(node.skin, 'skins', toPointer('nodes', i, 'skin'));
+    checkIndex(node.camera, 'cameras', toPointer('nodes', i, 'camera'));
+  });
+
+  // Cycle detection: walk up the parent chain of every node
+  const reportedCycles = new Set();
+  list('nodes').forEach((node, i) => {
+    const seen = new Set([i]);
+    let current = parents.get(i);
+    while (current !== undefined) {
+      if (seen.has(current)) {
+        if (!reportedCycles.has(current)) {
+          let member = current;
+          do {
+            reportedCycles.add(member);
+            member = parents.get(member);
+          } while (member !== current);
+          report('error', 'NODE_CYCLE', `Node hierarchy contains a cycle through node ${current}`, toPointer('nodes', current));
+        }
+        break;
+      }
+      seen.add(current);
+      current = parents.get(current);
+    }
+  });
+
+  // Meshes
+  list('meshes').forEach((mesh, i) => {
+    (mesh.primitives || []).forEach((primitive, j) => {
+      const base = ['meshes', i, 'primitives', j];
+      const attributes = primitive.attributes || {};
+      Object.keys(attributes).forEach(semantic => {
+        checkIndex(attributes[semantic], 'accessors', toPointer(...base, 'attributes', semantic));
+      });
+      checkIndex(primitive.indices, 'accessors', toPointer(...base, 'indices'));
+      if (checkIndex(primitive.material, 'materials', toPointer(...base, 'material'))) referenced.materials.add(primitive.material);
+      (primitive.targets || []).forEach((target, t) => {
+        Object.keys(target).forEach(semantic => {
+          checkIndex(target[semantic], 'accessors', toPointer(...base, 'targets', t, semantic));
+        });
+      });
+
+      // POSITION accessors must declare their bounds
+      const positionIndex = attributes.POSITION;
+      const position = list('accessors')[positionIndex];
+      if (position) positionAccessors.add(positionIndex);
+      if (position && (!Array.isArray(position.min) || !Array.isArray(position.max)
+        || position.min.length !== 3 || position.max.length !== 3)) {
+        report('error', 'POSITION_BOUNDS_MISSING', `POSITION accessor ${positionIndex} must define 3-component min and max`, toPointer('accessors', positionIndex));
+      }
+    });
+  });
+
+  // Materials and textures
+  list('materials').forEach((material, i) => {
+    MATERIAL_TEXTURE_SLOTS.forEach(slot => {
+      const info = slot.reduce((value, key) => (value ? value[key] : undefined), material);
+      if (info && checkIndex(info.index, 'textures', toPointer('materials', i, ...slot, 'index'))) {
+        referenced.textures.add(info.index);
+      }
+    });
+
+    // Extension texture slots (clearcoatTexture, sheenColorTexture, ...)
+    (function visit(value) {
+      if (!value || typeof value !== 'object') return;
+      Object.keys(value).forEach(key => {
+        if (/Texture$/.test(key) && value[key] && Number.isInteger(value[key].index)) {
+          referenced.textures.add(value[key].index);
+        }
+        visit(value[key]);
+      });
+    })(material.extensions);
+  });
+  list('textures').forEach((texture, i) => {
+    checkIndex(texture.source, 'images', toPointer('textures', i, 'source'));
+    checkIndex(texture.sampler, 'samplers', toPointer('textures', i, 'sampler'));
+  });
+  list('images').forEach((image, i) => {
+    checkIndex(image.bufferView, 'bufferViews', toPointer('images', i, 'bufferView'));
+    if (image.bufferView === undefined && !image.uri) {
+      report('error', 'IMAGE_WITHOUT_DATA', `Image ${i} has neither a uri nor a bufferView`, toPointer('images', i));
+    }
+  });
+
+  // Skins and animations
+  list('skins').forEach((skin, i) => {
+    (skin.joints || []).forEach((joint, j) => checkIndex(joint, 'nodes', toPointer('skins', i, 'joints', j)));
+    checkIndex(skin.skeleton, 'nodes', toPointer('skins', i, 'skeleton'));
+    checkIndex(skin.inverseBindMatrices, 'accessors', toPointer('skins', i, 'inverseBindMatrices'));
+  });
+  list('animations').forEach((animation, i) => {
+    const samplers = animation.samplers || [];
+    samplers.forEach((sampler, j) => {
+      ['input', 'output'].forEach(key => {
+        checkIndex(sampler[key], 'accessors', toPointer('animations', i, 'samplers', j, key));
+      });
+    });
+    (animation.channels || []).forEach((channel, j) => {
+      if (!Number.isInteger(channel.sampler) || channel.sampler < 0 || channel.sampler >= samplers.length) {
+        report('error', 'INDEX_OUT_OF_RANGE', `Index ${channel.sampler} is out of range for animation samplers (${samplers.length} items)`, toPointer('animations', i, 'channels', j, 'sampler'));
+      }
+      if (channel.target) {
+        checkIndex(channel.target.node, 'nodes', toPointer('animations', i, 'channels', j, 'target', 'node'));
+      }
+    });
+  });
+
+  // Buffers and buffer views
+  list('buffers').forEach((buffer, i) => {
+    const data = bufferData[i];
+    if (buffer.uri && !buffer.uri.startsWith('data:') && data === null) {
+      report('error', 'MISSING_BUFFER', `Missing binary file: ${buffer.uri}`, toPointer('buffers', i));
+    } else if (data && data.length < buffer.byteLength) {
+      report('error', 'BUFFER_TOO_SHORT', `Buffer ${i} declares ${buffer.byteLength} bytes but only ${data.length} are available`, toPointer('buffers', i, 'byteLength'));
+    }
+  });
+  list('bufferViews').forEach((view, i) => {
+    if (!hasValidByteLength(view)) {
+      report('error', 'INVALID_BYTE_LENGTH', `Buffer view ${i} has an invalid byteLength (${view.byteLength})`, toPointer('bufferViews', i, 'byteLength'));
+    }
+    if (!checkIndex(view.buffer, 'buffers', toPointer('bufferViews', i, 'buffer'))) return;
+    const buffer = list('buffers')[view.buffer];
+    const end = (view.byteOffset || 0) + view.byteLength;
+    if (hasValidByteLength(view) && end > buffer.byteLength) {
+      report('error', 'BUFFER_VIEW_OUT_OF_BOUNDS', `Buffer view ${i} ends at byte ${end}, beyond buffer ${view.buffer} (${buffer.byteLength} bytes)`, toPointer('bufferViews', i, 'byteLength'));
+    }
+    if (view.byteStride !== undefined && (view.byteStride < 4 || view.byteStride > 252 || view.byteStride % 4 !== 0)) {
+      report('error', 'INVALID_BYTE_STRIDE', `Buffer view ${i} has an invalid byteStride (${view.byteStride})`, toPointer('bufferViews', i, 'byteStride'));
+    }
+  });
+
+  // Accessors
+  list('accessors').forEach((accessor, i) => {
+    const base = ['accessors', i];
+    const componentSize = COMPONENT_SIZES[accessor.componentType];
+    if (!componentSize) {
+      report('error', 'INVALID_COMPONENT_TYPE', `Accessor ${i} has an invalid componentType (${accessor.componentType})`, toPointer(...base, 'componentType'));
+      return;
+    }
+    if (!TYPE_COMPONENTS[accessor.type]) {
+      report('error', 'INVALID_ACCESSOR_TYPE', `Accessor ${i} has an invalid type (${accessor.type})`, toPointer(...base, 'type'));
+      return;
+    }
+    if (!Number.isInteger(accessor.count) || accessor.count < 1) {
+      report('error', 'INVALID_ACCESSOR_COUNT', `Accessor ${i} has an invalid count (${accessor.count})`, toPointer(...base, 'count'));
+      return;
+    }
+    if (!checkIndex(accessor.bufferView, 'bufferViews', toPointer(...base, 'bufferView'))) {
+      return; // No data to check (sparse-only, Draco or meshopt-compressed)
+    }
+
+    const view = list('bufferViews')[accessor.bufferView];
+    const byteOffset = accessor.byteOffset || 0;
+    const elementSize = getElementSize(accessor);
+    const stride = view.byteStride || elementSize;
+
+    if (byteOffset % componentSize !== 0) {
+      report('error', 'ACCESSOR_MISALIGNED', `Accessor ${i} byteOffset ${byteOffset} is not a multiple of its component size (${componentSize})`, toPointer(...base, 'byteOffset'));
+    }
+    if (view.byteStride && view.byteStride < elementSize) {
+      report('error', 'ACCESSOR_STRIDE_TOO_SMALL', `Accessor ${i} elements (${elementSize} bytes) do not fit in byteStride ${view.byteStride}`, toPointer(...base, 'bufferView'));
+    }
+    if (!hasValidByteLength(view)) return; // Already reported on the buffer view
+
+    const requiredLength = byteOffset + stride * (accessor.count - 1) + elementSize;
+    if (requiredLength > view.byteLength) {
+      report('error', 'ACCESSOR_OUT_OF_BOUNDS', `Accessor ${i} needs ${requiredLength} bytes but buffer view ${accessor.bufferView} has ${view.byteLength}`, toPointer(...base, 'count'));
+      return;
+    }
+
+    // Compare declared POSITION bounds with the actual data when it is available
+    const data = list('buffers')[view.buffer] ? bufferData[view.buffer] : null;
+    if (positionAccessors.has(i) && data && accessor.type === 'VEC3' && accessor.componentType === 5126 && !accessor.sparse
+      && Array.isArray(accessor.min) && Array.isArray(accessor.max)) {
+      const start = (view.byteOffset || 0) + byteOffset;
+      if (start + requiredLength - byteOffset <= data.length) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let n = 0; n < accessor.count; n++) {
+          for (let c = 0; c < 3; c++) {
+            const value = data.readFloatLE(start + n * stride + c * 4);
+            min[c] = Math.min(min[c], value);
+            max[c] = Math.max(max[c], value);
+          }
+        }
+        const tolerance = (a, b) => Math.abs(a - b) <= 1e-4 * Math.max(1, Math.abs(a), Math.abs(b));
+        if (!min.every((value, c) => tolerance(value, accessor.min[c])) || !max.every((value, c) => tolerance(value, accessor.max[c]))) {
+          report('warning', 'POSITION_BOUNDS_MISMATCH', `POSITION accessor ${i} min/max do not match its data`, toPointer(...base));
+        }
+      }
+    }
+  });
+
+  // Unused resources are harmless but usually worth pruning
+  [['meshes', 'mesh'], ['materials', 'material'], ['textures', 'texture']].forEach(([name, label]) => {
+    list(name).forEach((item, i) => {
+      if (!referenced[name].has(i)) {
+        report('info', 'UNUSED_OBJECT', `Unused ${label} ${i}${item.name ? ` (${item.name})` : ''}`, toPointer(name, i));
+      }
+    });
+  });
+
+  return issues;
+}
+
+// Validates a model file and always returns a list of issues, including
+// container-level problems (bad GLB header, invalid JSON, missing files)
+function validateGltfFile(filePath) {
+  const { validateGltfModel } = require('./optimize');
+  const validation = validateGltfModel(filePath);
+  const issues = validation.issues || [
+    { severity: 'error', code: 'INVALID_FILE', message: validation.error, pointer: '' }
+  ];
+
+  return {
+    filePath,
+    valid: validation.valid,
+    issues,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    infos: issues.filter(issue => issue.severity === 'info').length
+  };
+}
+
+module.exports = {
+  getSupportedExtensions,
+  loadBufferData,
+  validateGltfJson,
+  validateGltfFile
+};
@@ -0,0 +1,375 @@
+const path = require('path');
+const sharp = require('sharp');
+const { PropertyType } = require('@gltf-transform/core');
+const { listTextureSlots } = require('@gltf-transform/functions');
+const { getIO } = require('./optimize');
+const { countPrimitiveTriangles } = require('./lod');
+const {
+  getDocumentBounds, canSampleTextures, renderThumbnails, diffThumbnails, writeThumbnailSheet
+} = require('./thumbnail');
+
+const VERIFY_DEFAULTS = {
+  boundsTolerance: 0.01,
+  vertexTolerance: 0.05,
+  triangleTolerance: 0.01,
+  failOnMismatch: false,
+  thumbnail: false
+};
+const THUMBNAIL_DEFAULTS = { size: 128, threshold: 0.05, outputDir: null };
+
+// Material slots compared between source and output, with their getters
+const MATERIAL_SLOTS = {
+  baseColorTexture: 'getBaseColorTexture',
+  metallicRoughnessTexture: 'getMetallicRoughnessTexture',
+  normalTexture: 'getNormalTexture',
+  occlusionTexture: 'getOcclusionTexture',
+  emissiveTexture: 'getEmissiveTexture'
+};
+
+// verify: false | true | { boundsTolerance, vertexTolerance, triangleTolerance,
+// failOnMismatch, thumbnail: false | true | { size, threshold, outputDir } }
+function resolveVerifyOptions(verifyOption) {
+  if (!verifyOption) {
+    return null;
+  }
+  const options = { ...VERIFY_DEFAULTS, ...(verifyOption === true ? {} : verifyOption) };
+  ['boundsTolerance', 'vertexTolerance', 'triangleTolerance'].forEach(name => {
+    if (!(options[name] >= 0)) {
+      throw new Error(`verify.${name} must be a positive number (got ${options[name]})`);
+    }
+  });
+  if (options.thumbnail) {
+    options.thumbnail = { ...THUMBNAIL_DEFAULTS, ...(options.thumbnail === true ? {} : options.thumbnail) };
+    if (!(options.thumbnail.size >= 16 && options.thumbnail.size <= 1024)) {
+      throw new Error(`verify.thumbnail.size must be between 16 and 1024 (got ${options.thumbnail.size})`);
+    }
+  }
+  return options;
+}
+
+function getRelativeChange(original, optimized) {
+  return original > 0 ? Math.abs(optimized - original) / original : (optimized > 0 ? 1 : 0);
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+// Drawn meshes with the number of nodes using them
+function listDrawnMeshes(document) {
+  const meshes = new Map();
+  document.getRoot().listScenes().forEach(scene => {
+    scene.traverse(node => {
+      if (node.getMesh()) meshes.set(node.getMesh(), (meshes.get(node.getMesh()) || 0) + 1);
+    });
+  });
+  return meshes;
+}
+
+// Extent of a primitive's positions, as the length of its bounding box diagonal
+function getPositionExtent(position) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const element = [];
+  for (let i = 0; i < position.getCount(); i++) {
+    position.getElement(i, element);
+    for (let j = 0; j < 3; j++) {
+      min[j] = Math.min(min[j], element[j]);
+      max[j] = Math.max(max[j], element[j]);
+    }
+  }
+  return Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+}
+
+// Triangles with a visible area: quantization collapses slivers smaller than
+// its grid and compression drops degenerate triangles, which should not count
+// as lost geometry. The threshold is relative to the primitive's extent.
+function countVisibleTriangles(mesh) {
+  let triangles = 0;
+  const [a, b, c] = [[], [], []];
+  mesh.listPrimitives().forEach(prim => {
+    const position = prim.getAttribute('POSITION');
+    if (!position || prim.getMode() !== 4) {
+      triangles += countPrimitiveTriangles(prim);
+      return;
+    }
+    const minArea = (getPositionExtent(position) / 65536) ** 2;
+    const indices = prim.getIndices();
+    const count = indices ? indices.getCount() : position.getCount();
+    for (let i = 0; i + 2 < count; i += 3) {
+      position.getElement(indices ? indices.getScalar(i) : i, a);
+      position.getElement(indices ? indices.getScalar(i + 1) : i + 1, b);
+      position.getElement(indices ? indices.getScalar(i + 2) : i + 2, c);
+      const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+      const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+      const area = Math.hypot(u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]);
+      if (area > minArea) triangles++;
+    }
+  });
+  return triangles;
+}
+
+function countGeometry(document) {
+  let vertices = 0;
+  let triangles = 0;
+  listDrawnMeshes(document).forEach((instances, mesh) => {
+    mesh.listPrimitives().forEach(prim => {
+      vertices += prim.getAttribute('POSITION') ? prim.getAttribute('POSITION').getCount() * instances : 0;
+    });
+    triangles += countVisibleTriangles(mesh) * instances;
+  });
+  return { vertices, triangles };
+}
+
+function checkBounds(source, output, { boundsTolerance }) {
+  const before = getDocumentBounds(source);
+  const after = getDocumentBounds(output);
+  if (!before || !after) {
+    return before === after
+      ? { name: 'bounds', status: 'skipped', message: 'Nothing drawn' }
+      : { name: 'bounds', status: 'failed', message: before ? 'The output draws nothing' : 'The output draws geometry the source does not' };
+  }
+  const diagonal = Math.hypot(...[0, 1, 2].map(i => before.max[i] - before.min[i])) || 1;
+  const deviation = Math.max(...[0, 1, 2].flatMap(i => [
+    Math.abs(after.min[i] - before.min[i]),
+    Math.abs(after.max[i] - before.max[i])
+  ])) / diagonal;
+  return {
+    name: 'bounds',
+    status: deviation <= boundsTolerance ? 'passed' : 'failed',
+    message: `Bounding box moved by ${formatPercent(deviation)} of its diagonal (tolerance ${formatPercent(boundsTolerance)})`
+  };
+}
+
+function checkGeometry(source, output, { vertexTolerance, triangleTolerance }, simplified) {
+  if (simplified) {
+    return [
+      { name: 'vertices', status: 'skipped', message: 'Meshes were simplified' },
+      { name: 'triangles', status: 'skipped', message: 'Meshes were simplified' }
+    ];
+  }
+  const before = countGeometry(source);
+  const after = countGeometry(output);
+  const vertexChange = getRelativeChange(before.vertices, after.vertices);
+  const triangleChange = getRelativeChange(before.triangles, after.triangles);
+  return [
+    {
+      name: 'vertices',
+      status: vertexChange <= vertexTolerance ? 'passed' : 'failed',
+      message: `${before.vertices} → ${after.vertices} vertices (${formatPercent(vertexChange)} change, tolerance ${formatPercent(vertexTolerance)})`
+    },
+    {
+      name: 'triangles',
+      status: triangleChange <= triangleTolerance ? 'passed' : 'failed',
+      message: `${before.triangles} → ${after.triangles} visible triangles (${formatPercent(triangleChange)} change, tolerance ${formatPercent(triangleTolerance)})`
+    }
+  ];
+}
+
+// Textures of a single color, within the tolerance prune() uses. The default
+// optimize step folds them into the material factors and drops them, so the
+// slots they fill may be empty in the output. KTX2 cannot be decoded here.
+async function listSolidTextures(document) {
+  const solid = new Set();
+  await Promise.all(document.getRoot().listTextures().map(async texture => {
+    try {
+      const { channels } = await sharp(Buffer.from(texture.getImage())).ensureAlpha().stats();
+      if (Math.hypot(...channels.map(channel => channel.max - channel.min)) <= 3) solid.add(texture);
+    } catch (error) {
+      // Not decodable: compared like any other texture
+    }
+  }));
+  return solid;
+}
+
+// `required` leaves out the slots of single-color textures, which may be folded into a factor
+function getMaterialSignature(material, solidTextures = new Set()) {
+  const slots = Object.keys(MATERIAL_SLOTS).filter(slot => material[MATERIAL_SLOTS[slot]]());
+  const required = slots.filter(slot => !solidTextures.has(material[MATERIAL_SLOTS[slot]]()));
+  return { slots, required, alphaMode: material.getAlphaMode(), doubleSided: material.getDoubleSided() };
+}
+
+// Whether `output` can stand for `source`: same modes, every required slot kept, no slot added
+function isSameSignature(source, output) {
+  return source.alphaMode === output.alphaMode && source.doubleSided === output.doubleSided
+    && source.required.every(slot => output.slots.includes(slot))
+    && output.slots.every(slot => source.slots.includes(slot));
+}
+
+function listUsedMaterials(document) {
+  return document.getRoot().listMaterials()
+    .filter(material => material.listParents().some(parent => parent.propertyType === PropertyType.PRIMITIVE));
+}
+
+// Every material of the source must keep its texture slots and alpha mode.
+// Materials are matched by name; merged duplicates match any equivalent material.
+function checkMaterials(source, output, solidTextures) {
+  const outputMaterials = listUsedMaterials(output).map(material => ({ material, signature: getMaterialSignature(material) }));
+  const problems = [];
+
+  listUsedMaterials(source).forEach((material, index) => {
+    const label = material.getName() || `material ${index + 1}`;
+    const signature = getMaterialSignature(material, solidTextures);
+    const named = material.getName() ? outputMaterials.find(entry => entry.material.getName() === material.getName()) : null;
+
+    if (named) {
+      const lost = signature.required.filter(slot => !named.signature.slots.includes(slot));
+      if (lost.length > 0) problems.push(`${label} lost ${lost.join(', ')}`);
+      if (named.signature.alphaMode !== signature.alphaMode) {
+        problems.push(`${label} alphaMode ${signature.alphaMode} → ${named.signature.alphaMode}`);
+      }
+      if (named.signature.doubleSided !== signature.doubleSided) problems.push(`${label} doubleSided changed`);
+    } else if (!outputMaterials.some(entry => isSameSignature(entry.signature, signature))) {
+      problems.push(`${label} has no equivalent in the output`);
+    }
+  });
+
+  return {
+    name: 'materials',
+    status: problems.length === 0 ? 'passed' : 'failed',
+    message: problems.length === 0 ? `${outputMaterials.length} material(s) match the source` : problems.join('; ')
+  };
+}
+
+// Name of a texture without its extension, which changes with the format
+function getTextureKey(texture) {
+  const name = texture.getURI() || texture.getName();
+  return name ? path.basename(name, path.extname(name)) : null;
+}
+
+// Textures matched by name are still used in the same slots; unmatched ones
+// may have been merged by deduplication and are left to the materials check,
+// and single-color ones may have been folded into material factors
+function checkTextures(source, output, solidTextures) {
+  const outputTextures = new Map(output.getRoot().listTextures().map(texture => [getTextureKey(texture), texture]));
+  const problems = [];
+  let matched = 0;
+
+  source.getRoot().listTextures().forEach(texture => {
+    const key = getTextureKey(texture);
+    const match = key && !solidTextures.has(texture) ? outputTextures.get(key) : null;
+    if (!match) return;
+    matched++;
+    const after = listTextureSlots(match);
+    const lost = listTextureSlots(texture).filter(slot => !after.includes(slot));
+    if (lost.length > 0) {
+      problems.push(`${key} is no longer used as ${lost.join(', ')}`);
+    }
+  });
+
+  return {
+    name: 'textures',
+    status: problems.length === 0 ? 'passed' : 'failed',
+    message: problems.length === 0 ? `${matched} texture(s) keep their slots` : problems.join('; ')
+  };
+}
+
+function listChannelKeys(animation) {
+  return animation.listChannels()
+    .filter(channel => channel.getTargetNode())
+    .map(channel => `${channel.getTargetNode().getName() || 'unnamed node'}.${channel.getTargetPath()}`);
+}
+
+// Every animated node and path of the source is still animated in the output
+function checkAnimations(source, output) {
+  const sourceAnimations = source.getRoot().listAnimations();
+  if (sourceAnimations.length === 0) {
+    return { name: 'animations', status: 'skipped', message: 'No animations' };
+  }
+
+  const outputAnimations = output.getRoot().listAnimations();
+  const allOutputKeys = new Set(outputAnimations.flatMap(listChannelKeys));
+  let total = 0;
+  const missing = [];
+
+  sourceAnimations.forEach((animation, index) => {
+    const label = animation.getName() || `animation ${index + 1}`;
+    const match = animation.getName() ? outputAnimations.find(candidate => candidate.getName() === animation.getName()) : null;
+    const outputKeys = match ? new Set(listChannelKeys(match)) : allOutputKeys;
+    listChannelKeys(animation).forEach(key => {
+      total++;
+      if (!outputKeys.has(key)) missing.push(`${label}: ${key}`);
+    });
+  });
+
+  return {
+    name: 'animations',
+    status: missing.length === 0 ? 'passed' : 'failed',
+    message: missing.length === 0
+      ? `${total} channel(s) covered`
+      : `${missing.length} of ${total} channel(s) missing: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? '...' : ''}`
+  };
+}
+
+// Renders both models from the same cameras and scores the worst view
+async function compareThumbnails(source, output, { size, threshold, outputDir }, name) {
+  const bounds = getDocumentBounds(source) || getDocumentBounds(output);
+  const textures = canSampleTextures(source) && canSampleTextures(output);
+  const before = await renderThumbnails(source, { size, bounds, textures });
+  const after = await renderThumbnails(output, { size, bounds, textures });
+
+  const views = {};
+  const rows = [];
+  Object.keys(before).forEach(view => {
+    const { score, diff } = diffThumbnails(before[view], after[view]);
+    views[view] = Number(score.toFixed(4));
+    rows.push([before[view], after[view], diff]);
+  });
+  const score = Math.max(...Object.values(views));
+
+  let imagePath = null;
+  if (outputDir) {
+    const fs = require('fs');
+    fs.mkdirSync(path.resolve(outputDir), { recursive: true });
+    imagePath = path.resolve(outputDir, `${name}.verify.png`);
+    await writeThumbnailSheet(imagePath, rows, size);
+  }
+
+  return {
+    score: Number(score.toFixed(4)),
+    threshold,
+    passed: score <= threshold,
+    views,
+    // KTX2 cannot be decoded here, so both sides are compared untextured
+    textured: textures,
+    imagePath
+  };
+}
+
+// Compares a source model with its optimized output, each a path or a loaded
+// Document. Checks are 'passed', 'failed' or 'skipped'; `simplified` skips the
+// vertex and triangle counts, `name` names the thumbnail sheet.
+async function verifyModel(sourceModel, outputModel, options = true, settings = {}) {
+  const verifyOptions = resolveVerifyOptions(options) || resolveVerifyOptions(true);
+  const {
+    simplified = false,
+    name = typeof sourceModel === 'string' ? path.basename(sourceModel, path.extname(sourceModel)) : 'model'
+  } = settings;
+  const io = await getIO();
+  const source = typeof sourceModel === 'string' ? await io.read(sourceModel) : sourceModel;
+  const output = typeof outputModel === 'string' ? await io.read(outputModel) : outputModel;
+
+  const solidTextures = await listSolidTextures(source);
+  const checks = [
+    checkBounds(source, output, verifyOptions),
+    ...checkGeometry(source, output, verifyOptions, simplified),
+    checkMaterials(source, output, solidTextures),
+    checkTextures(source, output, solidTextures),
+    checkAnimations(source, output)
+  ];
+
+  const thumbnail = verifyOptions.thumbnail
+    ? await compareThumbnails(source, output, verifyOptions.thumbnail, name)
+    : null;
+
+  return {
+    passed: checks.every(check => check.status !== 'failed') && (!thumbnail || thumbnail.passed),
+    checks,
+    thumbnail
+  };
+}
+
+module.exports = {
+  resolveVerifyOptions,
+  verifyModel
+};
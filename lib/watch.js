@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { createModelMatcher, findGltfFiles, listGltfResources } = require('./optimize');
+const { getLogger } = require('./logger');
+const { optimizeBatch } = require('./batch');
+const { CACHE_FILE_NAME } = require('./cache');
+
+// Files the optimizer writes itself (temporary outputs and backups)
+const ARTIFACT_PATTERN = /-(optimized|temp|original)\.[^/\\]+$/;
+
+function isArtifact(filePath) {
+  const name = path.basename(filePath);
+  return ARTIFACT_PATTERN.test(name) || name === CACHE_FILE_NAME;
+}
+
+// Size and modification time, or null when the file does not exist
+function getSignature(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    return `${stats.size}:${stats.mtimeMs}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Watches `modelsDir` and re-optimizes a model once it and its companion files
+// have stopped changing. A model is considered complete when two checks
+// `debounceMs` apart see the same files, and none of its resources is missing.
+// Models run one at a time; returns a handle with close().
+function watchModels(modelsDir, options = {}, watchOptions = {}) {
+  const {
+    includePatterns,
+    excludePatterns,
+    debounceMs = 500,
+    companionTimeoutMs = 30000,
+    cacheFile = null,
+    onResult = null
+  } = watchOptions;
+
+  const logger = watchOptions.logger || getLogger();
+  const print = watchOptions.log || logger.log;
+  const matcher = createModelMatcher(modelsDir, { includePatterns, excludePatterns });
+
+  const resourceOwners = new Map(); // resource path -> Set of model paths
+  const pending = new Map(); // model path -> { timer, signature, since, waiting }
+  const ownWrites = new Map(); // model path -> signature of the files we wrote
+  const queue = [];
+  let running = false;
+  let closed = false;
+
+  function listModelFiles(modelPath) {
+    return [modelPath, ...listGltfResources(modelPath).map(resource => resource.path)];
+  }
+
+  function indexModel(modelPath) {
+    resourceOwners.forEach(owners => owners.delete(modelPath));
+    try {
+      listGltfResources(modelPath).forEach(resource => {
+        if (!resourceOwners.has(resource.path)) {
+          resourceOwners.set(resource.path, new Set());
+        }
+        resourceOwners.get(resource.path).add(modelPath);
+      });
+    } catch (error) {
+      // Partially written .gltf: indexed again once it is complete
+    }
+  }
+
+  function schedule(modelPath) {
+    const entry = pending.get(modelPath) || { signature: null, since: Date.now(), waiting: false };
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => check(modelPath), debounceMs);
+    pending.set(modelPath, entry);
+  }
+
+  function check(modelPath) {
+    const entry = pending.get(modelPath);
+    if (closed || !entry) return;
+
+    if (!fs.existsSync(modelPath)) {
+      pending.delete(modelPath);
+      return;
+    }
+
+    let files;
+    try {
+      files = listModelFiles(modelPath);
+    } catch (error) {
+      files = null; // JSON still being written
+    }
+
+    const missing = files ? files.filter(file => !fs.existsSync(file)) : [];
+    if (!files || missing.length > 0) {
+      if (Date.now() - entry.since > companionTimeoutMs) {
+        pending.delete(modelPath);
+        print(`⚠️  Gave up on ${path.relative(process.cwd(), modelPath)}: ` +
+          (files ? `missing ${missing.map(file => path.basename(file)).join(', ')}` : 'unreadable glTF JSON'), 'yellow');
+        return;
+      }
+      if (!entry.waiting) {
+        entry.waiting = true;
+        print(`⏳ Waiting for the files of ${path.relative(process.cwd(), modelPath)}...`, 'yellow');
+      }
+      schedule(modelPath);
+      return;
+    }
+
+    // Wait until nothing changed between two checks, and while it is being optimized
+    const signature = files.map(getSignature).join('|');
+    if (signature !== entry.signature || queue.includes(modelPath) || running === modelPath) {
+      entry.signature = signature;
+      schedule(modelPath);
+      return;
+    }
+
+    pending.delete(modelPath);
+    indexModel(modelPath);
+    if (ownWrites.get(modelPath) === signature) {
+      return; // Our own in-place write
+    }
+    queue.push(modelPath);
+    processQueue().catch(error => logger.error(`❌ Watch queue error: ${error.message}`));
+  }
+
+  async function processQueue() {
+    if (running || closed) return;
+    while (queue.length > 0 && !closed) {
+      const modelPath = queue.shift();
+      running = modelPath;
+      // A failure (e.g. the cache manifest cannot be saved) is reported and the
+      // next models still run
+      try {
+        const [result] = await optimizeBatch([modelPath], options, { cacheFile, logger });
+
+        // Remember what in-place runs wrote so the resulting events are ignored,
+        // including a model converted to another format (model.gltf -> model.glb)
+        [...new Set([modelPath, result.outputPath])].filter(file => file && fs.existsSync(file)).forEach(file => {
+          indexModel(file);
+          try {
+            ownWrites.set(file, listModelFiles(file).map(getSignature).join('|'));
+          } catch (error) {
+            ownWrites.delete(file);
+          }
+        });
+
+        if (onResult) {
+          onResult(result);
+        }
+      } catch (error) {
+        logger.error(`❌ Could not optimize ${path.relative(process.cwd(), modelPath)}: ${error.message}`, { model: modelPath });
+      } finally {
+        running = false;
+      }
+    }
+  }
+
+  function onChange(eventType, filename) {
+    if (!filename || closed) return;
+    const fullPath = path.join(modelsDir, filename.toString());
+    if (isArtifact(fullPath) || matcher.isExcluded(fullPath)) return;
+
+    if (matcher.isModel(fullPath)) {
+      schedule(fullPath);
+    }
+    (resourceOwners.get(fullPath) || []).forEach(schedule);
+  }
+
+  findGltfFiles(modelsDir, { includePatterns, excludePatterns }).forEach(indexModel);
+  const watcher = fs.watch(modelsDir, { recursive: true }, onChange);
+
+  return {
+    close() {
+      closed = true;
+      watcher.close();
+      pending.forEach(entry => clearTimeout(entry.timer));
+      pending.clear();
+    }
+  };
+}
+
+module.exports = {
+  watchModels,
+  isArtifact
+};
@@ -0,0 +1,177 @@
+const zlib = require('zlib');
+
+// Minimal ZIP support for .gltf bundles sent to the HTTP service: reads and
+// writes stored and deflated entries in memory. ZIP64, encryption and
+// multi-disk archives are not supported.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let index = 0; index < data.length; index++) {
+    crc = CRC_TABLE[(crc ^ data[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function isZipData(data) {
+  return data.length >= 4 && data.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+function findEndOfCentralDirectory(data) {
+  // The record is 22 bytes, followed by a comment of up to 64 KB
+  const stop = Math.max(0, data.length - 22 - 0xffff);
+  for (let offset = data.length - 22; offset >= stop; offset--) {
+    if (data.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Not a ZIP archive (end of central directory not found)');
+}
+
+// Reads the files of a ZIP archive. Returns a Map of entry name (forward
+// slashes, folders left out) -> Buffer. Throws once the uncompressed files
+// exceed `maxBytes`, so that a small archive cannot expand without limit.
+function readZip(data, { maxBytes = Infinity } = {}) {
+  const end = findEndOfCentralDirectory(data);
+  const entryCount = data.readUInt16LE(end + 10);
+  const directoryOffset = data.readUInt32LE(end + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const files = new Map();
+  let totalBytes = 0;
+  let offset = directoryOffset;
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > data.length || data.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = data.readUInt16LE(offset + 8);
+    const method = data.readUInt16LE(offset + 10);
+    const expectedCrc = data.readUInt32LE(offset + 16);
+    const compressedSize = data.readUInt32LE(offset + 20);
+    const size = data.readUInt32LE(offset + 24);
+    const nameLength = data.readUInt16LE(offset + 28);
+    const extraLength = data.readUInt16LE(offset + 30);
+    const commentLength = data.readUInt16LE(offset + 32);
+    const localOffset = data.readUInt32LE(offset + 42);
+    const name = data.toString('utf8', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 1) {
+      throw new Error(`Encrypted ZIP entry: ${name}`);
+    }
+    totalBytes += size;
+    if (totalBytes > maxBytes) {
+      throw new Error(`Uncompressed files exceed the ${maxBytes} byte limit`);
+    }
+
+    if (localOffset + 30 > data.length || data.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+    const dataStart = localOffset + 30 + data.readUInt16LE(localOffset + 26) + data.readUInt16LE(localOffset + 28);
+    const compressed = data.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = compressed;
+    } else if (method === 8) {
+      try {
+        // The declared size cannot be trusted: inflating stops past it
+        content = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw new Error(`Corrupt ZIP entry: ${name} (${error.message})`);
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+    }
+    if (content.length !== size || crc32(content) !== expectedCrc) {
+      throw new Error(`Corrupt ZIP entry: ${name} (checksum mismatch)`);
+    }
+    files.set(name, content);
+  }
+  return files;
+}
+
+// DOS date and time of the entries
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Builds a ZIP archive from [name, data] pairs (an array or a Map). Entries
+// are deflated, unless that does not make them smaller.
+function writeZip(entries, { date = new Date() } = {}) {
+  const { time, date: dosDate } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, value] of entries) {
+    const data = Buffer.from(value);
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const content = method === 8 ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4); // Version needed to extract
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, content);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + content.length;
+  }
+
+  const directory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(centralParts.length / 2, 8);
+  end.writeUInt16LE(centralParts.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, directory, end]);
+}
+
+module.exports = {
+  isZipData,
+  readZip,
+  writeZip
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('../lib/args');
+
+test('parseArgs splits the command, positionals, flags and options', () => {
+  const parsed = parseArgs([
+    'optimize', 'models/chair.glb', '-yq', '--output-dir', 'dist', '--draco-level=7',
+    '--no-resize-textures', '--texture-names', 'textures/{texture}.{ext}', '--', '--not-a-flag.glb'
+  ]);
+  assert.strictEqual(parsed.command, 'optimize');
+  assert.deepStrictEqual(parsed.positionals, ['models/chair.glb', '--not-a-flag.glb']);
+  assert.deepStrictEqual(parsed.flags, {
+    yes: true,
+    quiet: true,
+    outputDir: 'dist',
+    dracoLevel: 7,
+    resizeTextures: false,
+    textureNames: 'textures/{texture}.{ext}'
+  });
+  assert.deepStrictEqual(parsed.options, {
+    dracoLevel: 7,
+    resizeTextures: false,
+    resourceNames: { textures: 'textures/{texture}.{ext}' }
+  });
+});
+
+test('parseArgs leaves the command null for a plain path', () => {
+  const parsed = parseArgs(['./models']);
+  assert.strictEqual(parsed.command, null);
+  assert.deepStrictEqual(parsed.positionals, ['./models']);
+});
+
+test('parseArgs reads optional values written with = or as the next argument', () => {
+  assert.deepStrictEqual(parseArgs(['--simplify']).options, { simplify: true });
+  assert.deepStrictEqual(parseArgs(['--simplify=0.5']).options, { simplify: { ratio: 0.5 } });
+  assert.deepStrictEqual(parseArgs(['--lod=0.5,0.25']).options, { lod: { levels: [0.5, 0.25] } });
+  assert.deepStrictEqual(parseArgs(['--verify={"thumbnail":true}']).options, { verify: { thumbnail: true } });
+  assert.deepStrictEqual(parseArgs(['--no-verify']).options, { verify: false });
+
+  const parsed = parseArgs(['--simplify', '0.5', '--lod', '.5,0.25', '--verify', '{"thumbnail":true}', 'models/chair.glb']);
+  assert.deepStrictEqual(parsed.options, { simplify: { ratio: 0.5 }, lod: { levels: [0.5, 0.25] }, verify: { thumbnail: true } });
+  assert.deepStrictEqual(parsed.positionals, ['models/chair.glb']);
+  assert.deepStrictEqual(parseArgs(['--simplify', 'models', '--lod', '--yes']).options, { simplify: true, lod: true });
+  assert.deepStrictEqual(parseArgs(['--simplify', 'models']).positionals, ['models']);
+});
+
+test('parseArgs rejects unknown flags and invalid values', () => {
+  const cases = [
+    [['--fast'], /^Unknown option: --fast$/],
+    [['-x'], /^Unknown option: -x$/],
+    [['--output-dir'], /^--output-dir needs a value$/],
+    [['--geometry-compression', '--yes'], /^--geometry-compression needs a value \(draco, meshopt, quantize, none\)$/],
+    [['--draco-level=high'], /^--draco-level must be a number \(got high\)$/],
+    [['--texture-format=bmp'], /^--texture-format must be one of webp, .* \(got bmp\)$/],
+    [['--force=maybe'], /^--force takes no value \(got maybe\)$/],
+    [['--no-backup=1'], /^--no-backup takes no value$/],
+    [['--no-output-dir'], /^Unknown option: --no-output-dir$/],
+    [['--simplify=half'], /^--simplify must be a number \(got half\)$/],
+    [['--lod=0.5,,0.25'], /^--lod must be a number \(got \)$/],
+    [['--verify=thumbnail'], /^--verify takes a JSON object \(got thumbnail\)$/],
+    [['--simplify', '0.5x'], /^--simplify must be a number \(got 0.5x\)$/],
+    [['--verify', '0.5'], /^--verify takes a JSON object \(got 0.5\)$/],
+    [['--texture-resize-overrides={bad'], /^Invalid value for --texture-resize-overrides: /]
+  ];
+  cases.forEach(([argv, message]) => assert.throws(() => parseArgs(argv), { message }, argv.join(' ')));
+});
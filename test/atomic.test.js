@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTempPath, writeFileAtomic, createFileTransaction } = require('../lib/atomic');
+
+function createDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-atomic-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const read = filePath => fs.readFileSync(filePath, 'utf8');
+
+test('getTempPath keeps the extension last', () => {
+  assert.strictEqual(getTempPath(path.join('models', 'chair.glb')), path.join('models', 'chair-temp.glb'));
+  assert.strictEqual(getTempPath('chair.gltf', 'previous-temp'), 'chair-previous-temp.gltf');
+});
+
+test('writeFileAtomic replaces a file and leaves no temporary file', t => {
+  const dir = createDir(t);
+  const filePath = path.join(dir, 'nested', 'model.bin');
+  writeFileAtomic(filePath, 'first');
+  writeFileAtomic(filePath, 'second');
+  assert.strictEqual(read(filePath), 'second');
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['model.bin']);
+});
+
+test('a file transaction only touches its targets on commit', t => {
+  const dir = createDir(t);
+  fs.writeFileSync(path.join(dir, 'model.gltf'), 'old model');
+
+  const transaction = createFileTransaction();
+  transaction.stage(path.join(dir, 'model.gltf'), 'new model');
+  transaction.stage(path.join(dir, 'model.bin'), 'new buffer');
+  assert.deepStrictEqual(transaction.listStaged(), [path.join(dir, 'model.gltf'), path.join(dir, 'model.bin')]);
+  assert.strictEqual(read(path.join(dir, 'model.gltf')), 'old model');
+  assert.ok(!fs.existsSync(path.join(dir, 'model.bin')));
+
+  transaction.commit();
+  assert.strictEqual(read(path.join(dir, 'model.gltf')), 'new model');
+  assert.strictEqual(read(path.join(dir, 'model.bin')), 'new buffer');
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['model.bin', 'model.gltf']);
+  assert.throws(() => transaction.commit(), /already committed or rolled back/);
+});
+
+test('rollback() discards staged files', t => {
+  const dir = createDir(t);
+  fs.writeFileSync(path.join(dir, 'model.gltf'), 'old model');
+
+  const transaction = createFileTransaction();
+  transaction.stage(path.join(dir, 'model.gltf'), 'new model');
+  transaction.rollback();
+  assert.strictEqual(read(path.join(dir, 'model.gltf')), 'old model');
+  assert.deepStrictEqual(fs.readdirSync(dir), ['model.gltf']);
+});
+
+test('a commit that fails part-way puts every target back', t => {
+  const dir = createDir(t);
+  fs.writeFileSync(path.join(dir, 'model.gltf'), 'old model');
+  // A directory cannot be replaced by a file: the third rename fails
+  fs.mkdirSync(path.join(dir, 'texture.png'));
+  fs.writeFileSync(path.join(dir, 'texture.png', 'keep'), '');
+
+  const transaction = createFileTransaction();
+  transaction.stage(path.join(dir, 'model.gltf'), 'new model');
+  transaction.stage(path.join(dir, 'model.bin'), 'new buffer');
+  transaction.stage(path.join(dir, 'texture.png'), 'new texture');
+  assert.throws(() => transaction.commit());
+
+  assert.strictEqual(read(path.join(dir, 'model.gltf')), 'old model');
+  assert.ok(!fs.existsSync(path.join(dir, 'model.bin')), 'files created by the transaction are removed');
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['model.gltf', 'texture.png']);
+});
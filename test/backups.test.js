@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { Document, NodeIO } = require('@gltf-transform/core');
+const { findBackedUpModels, listModelBackups, restoreModel, cleanBackups } = require('../lib/backups');
+const { optimizeModel } = require('../lib/optimize');
+
+// An in-place optimized .gltf: its buffer was rewritten and its PNG texture
+// replaced by a WebP one. The PNG has no backup: restore leaves it as it is.
+function createOptimizedModel(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-backups-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const model = (buffer, image) => JSON.stringify({
+    asset: { version: '2.0' },
+    buffers: [{ uri: buffer, byteLength: 8 }],
+    images: [{ uri: image }]
+  });
+  fs.writeFileSync(path.join(dir, 'model-original.gltf'), model('model.bin', 'texture.png'));
+  fs.writeFileSync(path.join(dir, 'model-original.bin'), 'original');
+  fs.writeFileSync(path.join(dir, 'texture.png'), 'png');
+  fs.writeFileSync(path.join(dir, 'model.gltf'), model('model.bin', 'texture.webp'));
+  fs.writeFileSync(path.join(dir, 'model.bin'), 'smaller');
+  fs.writeFileSync(path.join(dir, 'texture.webp'), 'webp');
+  return dir;
+}
+
+test('findBackedUpModels and listModelBackups find the backups of a model', t => {
+  const dir = createOptimizedModel(t);
+  assert.deepStrictEqual(findBackedUpModels(dir), [path.join(dir, 'model.gltf')]);
+  assert.deepStrictEqual(listModelBackups(path.join(dir, 'model.gltf')),
+    [path.join(dir, 'model-original.gltf'), path.join(dir, 'model-original.bin')]);
+});
+
+test('restoreModel puts the original files back and removes the optimized ones', t => {
+  const dir = createOptimizedModel(t);
+  const original = fs.readFileSync(path.join(dir, 'model-original.gltf'), 'utf8');
+
+  const { restored, removed } = restoreModel(path.join(dir, 'model.gltf'));
+  assert.deepStrictEqual(restored, [path.join(dir, 'model.gltf'), path.join(dir, 'model.bin')]);
+  assert.deepStrictEqual(removed, [path.join(dir, 'texture.webp')]);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'model.gltf'), 'utf8'), original);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'model.bin'), 'utf8'), 'original');
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['model.bin', 'model.gltf', 'texture.png']);
+});
+
+test('restoreModel refuses models without a backup or with missing originals', t => {
+  const dir = createOptimizedModel(t);
+  fs.rmSync(path.join(dir, 'texture.png'));
+  assert.throws(() => restoreModel(path.join(dir, 'model.gltf')), /Missing file referenced by the backup: texture\.png/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'model.bin'), 'utf8'), 'smaller');
+
+  fs.rmSync(path.join(dir, 'model-original.gltf'));
+  assert.throws(() => restoreModel(path.join(dir, 'model.gltf')), /No backup found for model\.gltf \(expected model-original\.gltf\)/);
+});
+
+test('cleanBackups deletes the backups and keeps the optimized files', t => {
+  const dir = createOptimizedModel(t);
+  assert.deepStrictEqual(cleanBackups(path.join(dir, 'model.gltf')),
+    [path.join(dir, 'model-original.gltf'), path.join(dir, 'model-original.bin')]);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['model.bin', 'model.gltf', 'texture.png', 'texture.webp']);
+  assert.deepStrictEqual(findBackedUpModels(dir), []);
+});
+
+test('an in-place run backs up and removes the files it replaces, and restore puts them back', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-backups-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const document = new Document();
+  const buffer = document.createBuffer().setURI('model.bin');
+  // Not a uniform color, which palette() would replace with a factor
+  const pixels = Buffer.from(Array.from({ length: 4 * 4 * 3 }, (value, index) => index * 5));
+  const png = await sharp(pixels, { raw: { width: 4, height: 4, channels: 3 } }).png().toBuffer();
+  const texture = document.createTexture('tex').setImage(png).setMimeType('image/png').setURI('my tex.png');
+  const position = document.createAccessor().setType('VEC3').setBuffer(buffer)
+    .setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]));
+  const material = document.createMaterial('material').setBaseColorTexture(texture);
+  const mesh = document.createMesh('mesh').addPrimitive(document.createPrimitive().setAttribute('POSITION', position).setMaterial(material));
+  document.createScene().addChild(document.createNode('node').setMesh(mesh));
+  await new NodeIO().write(path.join(dir, 'model.gltf'), document);
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'untouched');
+  const before = Object.fromEntries(fs.readdirSync(dir).map(file => [file, fs.readFileSync(path.join(dir, file))]));
+
+  const result = await optimizeModel(path.join(dir, 'model.gltf'), { textureFormat: 'webp', compressDraco: false, log: () => {} });
+  assert.strictEqual(result.status, 'success', result.error);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+    'model-original.bin', 'model-original.gltf', 'model.bin', 'model.gltf', 'my tex-original.png', 'my tex.webp', 'notes.txt'
+  ]);
+
+  restoreModel(path.join(dir, 'model.gltf'));
+  assert.deepStrictEqual(Object.fromEntries(fs.readdirSync(dir).map(file => [file, fs.readFileSync(path.join(dir, file))])), before);
+});
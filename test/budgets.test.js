@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { Document, NodeIO } = require('@gltf-transform/core');
+const { parseByteSize, createBudgetResolver, findBudgetViolations, checkModelBudget } = require('../lib/budgets');
+
+// Two single-triangle primitives (two draw calls) sharing an 8x4 texture
+async function writeModel(filePath) {
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const texture = document.createTexture('checker')
+    .setImage(await sharp({ create: { width: 8, height: 4, channels: 3, background: '#ff0000' } }).png().toBuffer())
+    .setMimeType('image/png');
+  const material = document.createMaterial('material').setBaseColorTexture(texture);
+  const mesh = document.createMesh('mesh');
+  for (let i = 0; i < 2; i++) {
+    const position = document.createAccessor().setType('VEC3').setBuffer(buffer)
+      .setArray(new Float32Array([i, 0, 0, i + 1, 0, 0, i, 1, 0]));
+    mesh.addPrimitive(document.createPrimitive().setAttribute('POSITION', position).setMaterial(material));
+  }
+  document.createScene().addChild(document.createNode('node').setMesh(mesh));
+  fs.writeFileSync(filePath, await new NodeIO().writeBinary(document));
+}
+
+test('parseByteSize reads bytes and unit suffixes', () => {
+  assert.strictEqual(parseByteSize(2048), 2048);
+  assert.strictEqual(parseByteSize('512KB'), 512 * 1024);
+  assert.strictEqual(parseByteSize(' 1.5 mb '), 1.5 * 1024 * 1024);
+  assert.throws(() => parseByteSize('5 TB'), /Invalid size: 5 TB/);
+});
+
+test('createBudgetResolver merges matching budgets, later ones winning', () => {
+  const resolveBudget = createBudgetResolver([
+    { match: '**/*.glb', maxFileSize: '1 MB', maxTriangles: 1000 },
+    { match: 'props/**', maxTriangles: 100 }
+  ], { baseDir: '/models' });
+
+  assert.deepStrictEqual(resolveBudget('/models/props/chair.glb'), {
+    limits: { maxFileSize: 1024 * 1024, maxTriangles: 100 },
+    sources: { maxFileSize: '**/*.glb', maxTriangles: 'props/**' }
+  });
+  assert.deepStrictEqual(resolveBudget('/models/scene.glb').limits, { maxFileSize: 1024 * 1024, maxTriangles: 1000 });
+  assert.strictEqual(resolveBudget('/models/scene.gltf'), null);
+});
+
+test('createBudgetResolver rejects malformed budgets', () => {
+  assert.throws(() => createBudgetResolver([{ maxTriangles: 10 }]), /budgets\[0\] needs a "match" glob/);
+  assert.throws(() => createBudgetResolver([{ match: '*', maxVertices: 10 }]), /Unknown limit "maxVertices" in budgets\[0\]/);
+  assert.throws(() => createBudgetResolver([{ match: '*', maxTextures: -1 }]), /budgets\[0\]\.maxTextures must be a positive number/);
+});
+
+test('findBudgetViolations lists only the limits that are exceeded', () => {
+  const budget = { limits: { maxTriangles: 10, maxTextures: 2 }, sources: { maxTriangles: '*', maxTextures: '*.glb' } };
+  assert.deepStrictEqual(findBudgetViolations({ triangles: 10, textures: 3 }, budget), [
+    { limit: 'maxTextures', label: 'Textures', max: 2, actual: 3, match: '*.glb' }
+  ]);
+  assert.deepStrictEqual(findBudgetViolations({ triangles: 10, textures: 2 }, budget), []);
+});
+
+test('checkModelBudget measures a model and compares it with its budget', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-budgets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'model.glb');
+  await writeModel(filePath);
+
+  const within = await checkModelBudget(filePath, { limits: { maxTriangles: 2, maxDrawCalls: 2, maxTextureSize: 8 }, sources: {} });
+  assert.strictEqual(within.error, null);
+  assert.strictEqual(within.withinBudget, true);
+  assert.deepStrictEqual(
+    { triangles: within.metrics.triangles, drawCalls: within.metrics.drawCalls, textures: within.metrics.textures, largestTexture: within.metrics.largestTexture },
+    { triangles: 2, drawCalls: 2, textures: 1, largestTexture: 8 }
+  );
+  assert.ok(within.metrics.textureMemory > 8 * 4 * 4, 'texture memory includes mipmaps');
+
+  const over = await checkModelBudget(filePath, { limits: { maxDrawCalls: 1, maxFileSize: 64 }, sources: { maxDrawCalls: '*', maxFileSize: '*' } });
+  assert.strictEqual(over.withinBudget, false);
+  assert.deepStrictEqual(over.violations.map(violation => violation.limit), ['maxDrawCalls', 'maxFileSize']);
+
+  fs.writeFileSync(filePath, 'not a model');
+  const invalid = await checkModelBudget(filePath, null);
+  assert.strictEqual(invalid.withinBudget, false);
+  assert.strictEqual(invalid.metrics, null);
+  assert.match(invalid.error, /^Invalid model: /);
+});
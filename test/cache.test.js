@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CACHE_FILE_NAME, hashModel, hashOptions, loadCache, saveCache, getCachedResult, updateCache } = require('../lib/cache');
+
+test('hashOptions ignores key order and options that do not change the output', () => {
+  const options = { geometryCompression: 'draco', quantizePosition: 14 };
+  assert.strictEqual(
+    hashOptions(options),
+    hashOptions({ quantizePosition: 14, geometryCompression: 'draco', outputDir: 'out', baseDir: '.', backupOriginal: false, log: () => {} })
+  );
+  assert.notStrictEqual(hashOptions(options), hashOptions({ ...options, geometryCompression: 'meshopt' }));
+});
+
+test('getCachedResult hits only while the model, options and output are unchanged', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inputPath = path.join(dir, 'models', 'model.gltf');
+  const outputPath = path.join(dir, 'out', 'model.gltf');
+  fs.mkdirSync(path.dirname(inputPath));
+  fs.mkdirSync(path.dirname(outputPath));
+  fs.writeFileSync(inputPath, JSON.stringify({ asset: { version: '2.0' } }));
+  fs.writeFileSync(outputPath, JSON.stringify({ asset: { version: '2.0', generator: 'optimized' } }));
+
+  const options = { geometryCompression: 'draco' };
+  const cacheFile = path.join(dir, CACHE_FILE_NAME);
+  const cache = loadCache(cacheFile);
+  assert.deepStrictEqual(cache.entries, {});
+  updateCache(cache, { inputPath, outputPath, originalBytes: 100, optimizedBytes: 40, lods: [] }, hashModel(inputPath), options);
+  saveCache(cache);
+
+  const reloaded = loadCache(cacheFile);
+  assert.deepStrictEqual(Object.keys(reloaded.entries), ['models/model.gltf']);
+  assert.strictEqual(reloaded.entries['models/model.gltf'].output, 'out/model.gltf');
+
+  const hit = getCachedResult(reloaded, inputPath, { ...options, outputDir: path.join(dir, 'out') });
+  assert.strictEqual(hit.status, 'cached');
+  assert.strictEqual(hit.outputPath, outputPath);
+  assert.strictEqual(hit.reduction, 60);
+
+  assert.strictEqual(getCachedResult(reloaded, inputPath, { geometryCompression: 'meshopt' }), null);
+
+  fs.writeFileSync(inputPath, JSON.stringify({ asset: { version: '2.0', copyright: 'edited' } }));
+  assert.strictEqual(getCachedResult(reloaded, inputPath, options), null);
+});
+
+test('getCachedResult misses when the recorded output is gone', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inputPath = path.join(dir, 'model.gltf');
+  const outputPath = path.join(dir, 'model-out.gltf');
+  fs.writeFileSync(inputPath, JSON.stringify({ asset: { version: '2.0' } }));
+  fs.writeFileSync(outputPath, JSON.stringify({ asset: { version: '2.0' } }));
+
+  const cache = loadCache(path.join(dir, CACHE_FILE_NAME));
+  updateCache(cache, { inputPath, outputPath, originalBytes: 0, optimizedBytes: 0, lods: [] }, hashModel(inputPath));
+  assert.strictEqual(getCachedResult(cache, inputPath).status, 'cached');
+
+  fs.unlinkSync(outputPath);
+  assert.strictEqual(getCachedResult(cache, inputPath), null);
+});
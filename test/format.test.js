@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { Document, NodeIO } = require('@gltf-transform/core');
+const { resolveOutputFormat, resolveResourceNames, getOutputPath, applyResourceNames } = require('../lib/format');
+const { optimizeModel } = require('../lib/optimize');
+
+async function createTexturedDocument() {
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#00ff00' } }).png().toBuffer();
+  const albedo = document.createTexture('albedo').setImage(png).setMimeType('image/png');
+  const mask = document.createTexture('mask').setImage(png).setMimeType('image/png').setURI('maps/albedo.png');
+  const position = document.createAccessor().setType('VEC3').setBuffer(buffer)
+    .setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]));
+  const material = document.createMaterial('material').setBaseColorTexture(albedo).setOcclusionTexture(mask);
+  const mesh = document.createMesh('mesh').addPrimitive(document.createPrimitive().setAttribute('POSITION', position).setMaterial(material));
+  document.createScene().addChild(document.createNode('node').setMesh(mesh));
+  return document;
+}
+
+test('resolveOutputFormat defaults to the input format', () => {
+  assert.strictEqual(resolveOutputFormat(null, 'chair.glb'), 'glb');
+  assert.strictEqual(resolveOutputFormat(undefined, 'chair.gltf'), 'gltf');
+  assert.strictEqual(resolveOutputFormat('gltf-embedded', 'chair.glb'), 'gltf-embedded');
+  assert.throws(() => resolveOutputFormat('usdz', 'chair.glb'), /Unsupported outputFormat: usdz \(expected glb, gltf, gltf-embedded\)/);
+  assert.strictEqual(getOutputPath(path.join('models', 'chair.glb'), 'gltf-embedded'), path.join('models', 'chair.gltf'));
+});
+
+test('resolveResourceNames checks keys, placeholders and paths', () => {
+  assert.deepStrictEqual(resolveResourceNames(), { buffers: null, textures: null });
+  assert.deepStrictEqual(resolveResourceNames({ textures: 'textures/{name}_{texture}.{ext}' }),
+    { buffers: null, textures: 'textures/{name}_{texture}.{ext}' });
+
+  assert.throws(() => resolveResourceNames(['{name}.bin']), /resourceNames must be an object/);
+  assert.throws(() => resolveResourceNames({ images: '{name}.png' }), /Unknown resourceNames key "images" \(expected buffers, textures\)/);
+  assert.throws(() => resolveResourceNames({ buffers: ' ' }), /resourceNames\.buffers must be a file name template/);
+  assert.throws(() => resolveResourceNames({ buffers: '{name}.{ext}' }),
+    /Unknown placeholder \{ext\} in resourceNames\.buffers \(expected \{name\}, \{index\}\)/);
+  assert.throws(() => resolveResourceNames({ textures: '{name}_{hash}.{ext}' }),
+    /Unknown placeholder \{hash\} in resourceNames\.textures \(expected \{name\}, \{texture\}, \{index\}, \{ext\}\)/);
+  assert.throws(() => resolveResourceNames({ textures: '../shared/{texture}.{ext}' }), /must be a relative path inside the model's folder/);
+  assert.throws(() => resolveResourceNames({ buffers: path.resolve('{name}.bin') }), /must be a relative path inside the model's folder/);
+});
+
+test('applyResourceNames fills the templates and keeps URIs unique', async () => {
+  const document = await createTexturedDocument();
+  applyResourceNames(document, resolveResourceNames({ buffers: '{name}_{index}.bin', textures: 'tex/{texture}.{ext}' }), 'chair');
+
+  const root = document.getRoot();
+  assert.deepStrictEqual(root.listBuffers().map(buffer => buffer.getURI()), ['chair_1.bin']);
+  assert.deepStrictEqual(root.listTextures().map(texture => texture.getURI()), ['tex/albedo.png', 'tex/albedo_2.png']);
+});
+
+test('optimizeModel writes separate .gltf resources under their template names', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-format-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inputPath = path.join(dir, 'chair.glb');
+  fs.writeFileSync(inputPath, await new NodeIO().writeBinary(await createTexturedDocument()));
+
+  const outputDir = path.join(dir, 'out');
+  const options = { outputFormat: 'gltf', outputDir, textureFormat: 'png', log: () => {} };
+  const result = await optimizeModel(inputPath, { ...options, resourceNames: { buffers: '{name}.bin', textures: 'textures/{name}_{index}.{ext}' } });
+  assert.strictEqual(result.status, 'success', result.error);
+  assert.strictEqual(result.outputPath, path.join(outputDir, 'chair.gltf'));
+
+  const json = JSON.parse(fs.readFileSync(result.outputPath, 'utf8'));
+  assert.deepStrictEqual(json.buffers.map(buffer => buffer.uri), ['chair.bin']);
+  const uris = json.images.map(image => image.uri);
+  assert.ok(uris.length > 0 && uris.every(uri => /^textures\/chair_\d+\.png$/.test(uri)), uris.join(', '));
+  uris.forEach(uri => assert.ok(fs.existsSync(path.join(outputDir, uri)), uri));
+
+  const invalid = await optimizeModel(inputPath, { ...options, outputDir: path.join(dir, 'invalid'), resourceNames: { textures: '{texture}.{format}' } });
+  assert.strictEqual(invalid.status, 'error');
+  assert.match(invalid.error, /Unknown placeholder \{format\} in resourceNames\.textures/);
+  assert.ok(!fs.existsSync(path.join(dir, 'invalid')));
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Document, NodeIO } = require('@gltf-transform/core');
+const { optimizeModel } = require('../lib/optimize');
+
+// A grid of quads with positions and normals, enough for every encoder to work on
+async function writeGrid(filePath, size = 4) {
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  for (let y = 0; y <= size; y++) {
+    for (let x = 0; x <= size; x++) {
+      positions.push(x / size, y / size, 0);
+      normals.push(0, 0, 1);
+    }
+  }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const corner = y * (size + 1) + x;
+      indices.push(corner, corner + 1, corner + size + 1, corner + 1, corner + size + 2, corner + size + 1);
+    }
+  }
+  const accessor = (type, array) => document.createAccessor().setType(type).setArray(array).setBuffer(buffer);
+  const primitive = document.createPrimitive()
+    .setAttribute('POSITION', accessor('VEC3', new Float32Array(positions)))
+    .setAttribute('NORMAL', accessor('VEC3', new Float32Array(normals)))
+    .setIndices(accessor('SCALAR', new Uint16Array(indices)));
+  const node = document.createNode('grid').setMesh(document.createMesh('grid').addPrimitive(primitive));
+  document.createScene().addChild(node);
+  fs.writeFileSync(filePath, await new NodeIO().writeBinary(document));
+}
+
+function readGlbJson(filePath) {
+  const content = fs.readFileSync(filePath);
+  return JSON.parse(content.toString('utf8', 20, 20 + content.readUInt32LE(12)));
+}
+
+test('geometryCompression selects the geometry encoder', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-geometry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inputPath = path.join(dir, 'grid.glb');
+  await writeGrid(inputPath);
+
+  const compressionExtensions = ['EXT_meshopt_compression', 'KHR_draco_mesh_compression', 'KHR_mesh_quantization'];
+  const cases = [
+    ['draco', ['KHR_draco_mesh_compression']],
+    ['meshopt', ['EXT_meshopt_compression', 'KHR_mesh_quantization']],
+    ['quantize', ['KHR_mesh_quantization']],
+    ['none', []]
+  ];
+  for (const [geometryCompression, extensions] of cases) {
+    const outputDir = path.join(dir, geometryCompression);
+    const result = await optimizeModel(inputPath, { geometryCompression, outputDir, log: () => {} });
+    assert.strictEqual(result.status, 'success', result.error);
+
+    const step = result.steps.find(candidate => candidate.name === (geometryCompression === 'none' ? 'geometry' : geometryCompression));
+    assert.strictEqual(step.status, extensions.length > 0 ? 'applied' : 'skipped');
+    const used = readGlbJson(path.join(outputDir, 'grid.glb')).extensionsUsed || [];
+    assert.deepStrictEqual(used.filter(name => compressionExtensions.includes(name)).sort(), extensions, geometryCompression);
+  }
+});
+
+test('geometryCompression defaults from compressDraco and rejects unknown methods', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-geometry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inputPath = path.join(dir, 'grid.glb');
+  await writeGrid(inputPath);
+
+  const legacy = await optimizeModel(inputPath, { compressDraco: false, outputDir: path.join(dir, 'out'), log: () => {} });
+  assert.deepStrictEqual(legacy.steps.find(step => step.name === 'geometry'),
+    { name: 'geometry', status: 'skipped', reason: 'geometryCompression: none' });
+
+  const invalid = await optimizeModel(inputPath, { geometryCompression: 'zstd', outputDir: path.join(dir, 'out'), log: () => {} });
+  assert.strictEqual(invalid.status, 'error');
+  assert.match(invalid.error, /Unsupported geometryCompression: zstd \(expected draco, meshopt, quantize, none\)/);
+});
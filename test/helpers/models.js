@@ -0,0 +1,29 @@
+const { Document, NodeIO } = require('@gltf-transform/core');
+
+function createTriangleDocument() {
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const position = document.createAccessor()
+    .setType('VEC3')
+    .setArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]))
+    .setBuffer(buffer);
+  const mesh = document.createMesh().addPrimitive(document.createPrimitive().setAttribute('POSITION', position));
+  document.createScene().addChild(document.createNode().setMesh(mesh));
+  return document;
+}
+
+// Smallest useful model: one triangle, as a GLB Buffer
+async function createTriangleGlb() {
+  return Buffer.from(await new NodeIO().writeBinary(createTriangleDocument()));
+}
+
+// The same triangle as a .gltf: { json, resources } with a separate .bin
+async function createTriangleGltf() {
+  const { json, resources } = await new NodeIO().writeJSON(createTriangleDocument(), { basename: 'triangle' });
+  return { json, resources };
+}
+
+module.exports = {
+  createTriangleGlb,
+  createTriangleGltf
+};
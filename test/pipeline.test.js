@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, optimizeBuffer } = require('../lib/optimize');
+const { createOptionsResolver } = require('../lib/presets');
+const { hashOptions } = require('../lib/cache');
+const { createLogger, getLogger, setLogger } = require('../lib/logger');
+const { createTriangleGlb } = require('./helpers/models');
+
+test('pipeline modules of a config file are resolved from its directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-pipeline-'));
+  const configDir = path.join(dir, 'project');
+  fs.mkdirSync(path.join(configDir, 'steps'), { recursive: true });
+  const stepPath = path.join(configDir, 'steps', 'mark.js');
+  fs.writeFileSync(stepPath, "module.exports = async function mark(document) { document.getRoot().getAsset().extras = { marked: 1 }; };\n");
+  const configPath = path.join(configDir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ pipeline: ['./steps/mark.js', 'optimize'], options: { compressDraco: false } }));
+
+  const defaultLogger = getLogger();
+  setLogger(createLogger({ level: 'silent' }));
+  try {
+    // The current directory is not the config's
+    assert.notStrictEqual(process.cwd(), configDir);
+    const config = loadConfig(configPath);
+    const options = createOptionsResolver(config)(path.join(configDir, 'model.glb'));
+    assert.strictEqual(options.pipelineDir, configDir);
+
+    const { result } = await optimizeBuffer(await createTriangleGlb(), { ...options, logger: createLogger({ level: 'silent' }) });
+    assert.strictEqual(result.status, 'success', result.error);
+    assert.ok(result.steps.some(step => step.name === 'mark' && step.status === 'applied'));
+
+    // The cache hashes the module found next to the config, and the next run uses the edit
+    const before = hashOptions(options);
+    fs.writeFileSync(stepPath, "module.exports = async function edited() {};\n");
+    assert.notStrictEqual(hashOptions(options), before);
+    const { result: rerun } = await optimizeBuffer(await createTriangleGlb(), { ...options, logger: createLogger({ level: 'silent' }) });
+    assert.deepStrictEqual(rerun.steps.map(step => step.name).slice(0, 2), ['edited', 'optimize']);
+  } finally {
+    setLogger(defaultLogger);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
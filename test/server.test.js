@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createOptimizationServer } = require('../lib/server');
+const { createLogger } = require('../lib/logger');
+const { readZip, writeZip } = require('../lib/zip');
+const { createTriangleGlb, createTriangleGltf } = require('./helpers/models');
+
+const MAX_UPLOAD_BYTES = 4096;
+
+// Sends a request; `chunks` are written one by one, without Content-Length
+// unless `headers` has one. Resolves with { status, headers, body }.
+function request(port, { method = 'GET', path = '/', headers = {}, chunks = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      const body = [];
+      res.on('data', chunk => body.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(body) }));
+    });
+    req.on('error', reject);
+    chunks.forEach(chunk => req.write(chunk));
+    req.end();
+  });
+}
+
+const json = response => JSON.parse(response.body.toString('utf8'));
+
+// multipart/form-data body: parts are { name, filename, data }
+function multipart(boundary, parts) {
+  return Buffer.concat([
+    ...parts.flatMap(({ name, filename, data }) => [
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"` +
+        (filename ? `; filename="${filename}"\r\nContent-Type: application/octet-stream` : '') + '\r\n\r\n'),
+      Buffer.from(data),
+      Buffer.from('\r\n')
+    ]),
+    Buffer.from(`--${boundary}--\r\n`)
+  ]);
+}
+
+function upload(port, path, parts, { boundary = 'test-boundary', contentType = `multipart/form-data; boundary=${boundary}` } = {}) {
+  const body = multipart(boundary, parts);
+  return request(port, {
+    method: 'POST',
+    path,
+    headers: { 'Content-Type': contentType, 'Content-Length': body.length },
+    chunks: [body]
+  });
+}
+
+// Polls a job until it is finished
+async function waitForJob(port, id) {
+  for (;;) {
+    const job = json(await request(port, { path: `/jobs/${id}` }));
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+async function startService(t, settings) {
+  const service = createOptimizationServer({ logger: createLogger({ level: 'silent' }), ...settings });
+  const { port } = await service.listen(0, '127.0.0.1');
+  t.after(() => service.close());
+  return { service, port };
+}
+
+test('optimization service', async t => {
+  const service = createOptimizationServer({
+    maxUploadBytes: MAX_UPLOAD_BYTES,
+    maxModelBytes: 64 * 1024,
+    options: { compressDraco: false },
+    logger: createLogger({ level: 'silent' })
+  });
+  const { port } = await service.listen(0, '127.0.0.1');
+  t.after(() => service.close());
+  const glb = await createTriangleGlb();
+
+  await t.test('accepts a quoted multipart boundary', async () => {
+    const boundary = 'quoted boundary; with=specials';
+    const response = await upload(port, '/validate', [{ name: 'model', filename: 'triangle.glb', data: glb }], {
+      boundary,
+      contentType: `multipart/form-data; boundary="${boundary}"`
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual({ ...json(response), issues: undefined }, { name: 'triangle', valid: true, issues: undefined, errors: 0, warnings: 0, infos: 0 });
+  });
+
+  await t.test('reads the field name when filename comes first', async () => {
+    const body = Buffer.concat([
+      Buffer.from('--x\r\nContent-Disposition: form-data; filename="chair.glb"; name="model"\r\n\r\n'),
+      glb,
+      Buffer.from('\r\n--x--\r\n')
+    ]);
+    const response = await request(port, {
+      method: 'POST',
+      path: '/validate',
+      headers: { 'Content-Type': 'multipart/form-data; boundary=x', 'Content-Length': body.length },
+      chunks: [body]
+    });
+    assert.strictEqual(response.status, 200, response.body.toString());
+    assert.strictEqual(json(response).name, 'chair');
+  });
+
+  await t.test('requires a model field', async () => {
+    const response = await upload(port, '/optimize', [{ name: 'options', data: '{}' }]);
+    assert.strictEqual(response.status, 400);
+    assert.match(json(response).error, /Missing "model" file field/);
+  });
+
+  await t.test('refuses a body that is not multipart', async () => {
+    const response = await request(port, { method: 'POST', path: '/optimize', headers: { 'Content-Type': 'model/gltf-binary' }, chunks: [glb] });
+    assert.strictEqual(response.status, 415);
+  });
+
+  await t.test('refuses a Content-Length over the limit', async () => {
+    const body = Buffer.alloc(MAX_UPLOAD_BYTES + 1);
+    const response = await request(port, {
+      method: 'POST',
+      path: '/optimize',
+      headers: { 'Content-Type': 'multipart/form-data; boundary=x', 'Content-Length': body.length },
+      chunks: [body]
+    });
+    assert.strictEqual(response.status, 413);
+    assert.match(json(response).error, /Upload larger than/);
+  });
+
+  await t.test('refuses a body over the limit sent without Content-Length', async () => {
+    const chunk = Buffer.alloc(1024);
+    const response = await request(port, {
+      method: 'POST',
+      path: '/optimize',
+      headers: { 'Content-Type': 'multipart/form-data; boundary=x', 'Transfer-Encoding': 'chunked' },
+      chunks: Array.from({ length: 8 }, () => chunk)
+    });
+    assert.strictEqual(response.status, 413);
+    assert.match(json(response).error, /Upload larger than/);
+  });
+
+  await t.test('refuses options naming server files and custom pipeline steps', async () => {
+    const send = options => upload(port, '/optimize', [
+      { name: 'model', filename: 'triangle.glb', data: glb },
+      { name: 'options', data: JSON.stringify(options) }
+    ]);
+    for (const options of [{ outputDir: '/tmp' }, { pipelineDir: '/tmp' }, { verify: { thumbnail: { outputDir: '/tmp' } } }]) {
+      const response = await send(options);
+      assert.strictEqual(response.status, 400, JSON.stringify(options));
+      assert.match(json(response).error, /cannot be set over HTTP/);
+    }
+    const response = await send({ pipeline: ['optimize', './steps/evil.js'] });
+    assert.strictEqual(response.status, 400);
+    assert.match(json(response).error, /only list built-in steps/);
+  });
+
+  await t.test('optimizes a zipped .gltf bundle', async () => {
+    const { json: gltf, resources } = await createTriangleGltf();
+    const bundle = writeZip([
+      ['bundle/triangle.gltf', JSON.stringify(gltf)],
+      ...Object.entries(resources).map(([uri, data]) => [`bundle/${uri}`, data])
+    ]);
+    const queued = await upload(port, '/optimize', [{ name: 'model', filename: 'bundle.zip', data: bundle }]);
+    assert.strictEqual(queued.status, 202);
+    const { id, name } = json(queued);
+    assert.strictEqual(name, 'triangle');
+
+    const job = await waitForJob(port, id);
+    assert.strictEqual(job.status, 'success', job.error);
+
+    const result = await request(port, { path: `/jobs/${id}/result` });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.headers['content-type'], 'application/zip');
+    const files = readZip(result.body);
+    assert.ok(files.has('triangle.gltf'));
+    assert.ok([...files.keys()].some(file => file.endsWith('.bin')));
+  });
+
+  await t.test('refuses a bundle that unpacks beyond maxModelBytes', async () => {
+    const bundle = writeZip([['model.glb', glb], ['padding.bin', Buffer.alloc(128 * 1024)]]);
+    assert.ok(bundle.length < MAX_UPLOAD_BYTES);
+    const response = await upload(port, '/optimize', [{ name: 'model', filename: 'bundle.zip', data: bundle }]);
+    assert.strictEqual(response.status, 413);
+  });
+});
+
+test('finished jobs are dropped, oldest first, past maxJobs or maxResultBytes', async t => {
+  const glb = await createTriangleGlb();
+  const model = [{ name: 'model', filename: 'triangle.glb', data: glb }];
+
+  const byCount = await startService(t, { maxJobs: 2, options: { compressDraco: false } });
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    const { id } = json(await upload(byCount.port, '/optimize', model));
+    assert.strictEqual((await waitForJob(byCount.port, id)).status, 'success');
+    ids.push(id);
+  }
+  assert.deepStrictEqual([...byCount.service.jobs.keys()], ids.slice(1));
+  assert.strictEqual((await request(byCount.port, { path: `/jobs/${ids[0]}` })).status, 404);
+
+  // The files of one job exceed the limit: only the latest job is kept
+  const byBytes = await startService(t, { maxResultBytes: 1, options: { compressDraco: false } });
+  const first = json(await upload(byBytes.port, '/optimize', model));
+  await waitForJob(byBytes.port, first.id);
+  const second = json(await upload(byBytes.port, '/optimize', model));
+  await waitForJob(byBytes.port, second.id);
+  assert.deepStrictEqual([...byBytes.service.jobs.keys()], [second.id]);
+  const health = json(await request(byBytes.port, { path: '/health' }));
+  assert.strictEqual(health.jobs, 1);
+  assert.strictEqual(health.resultBytes, (await request(byBytes.port, { path: `/jobs/${second.id}/result` })).body.length);
+});
+
+test('uploads are refused before being read while maxJobs jobs are unfinished', async t => {
+  // With no job slot, jobs stay queued
+  const { service, port } = await startService(t, { maxJobs: 1, concurrency: 0 });
+  const model = [{ name: 'model', filename: 'triangle.glb', data: await createTriangleGlb() }];
+  assert.strictEqual((await upload(port, '/optimize', model)).status, 202);
+
+  const refused = await request(port, {
+    method: 'POST',
+    path: '/optimize',
+    headers: { 'Content-Type': 'multipart/form-data; boundary=x', 'Transfer-Encoding': 'chunked' },
+    chunks: Array.from({ length: 4 }, () => Buffer.alloc(64 * 1024))
+  });
+  assert.strictEqual(refused.status, 503);
+  assert.strictEqual(refused.headers['retry-after'], '30');
+  assert.match(json(refused).error, /Job limit reached \(1 jobs queued or running\)/);
+  assert.strictEqual(service.jobs.size, 1);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { Document } = require('@gltf-transform/core');
+const { encodeTextures, resolveTexturePolicies, resolveResizePolicies } = require('../lib/textures');
+
+async function createDocument() {
+  const document = new Document();
+  const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).png().toBuffer();
+  const valid = document.createTexture('valid').setImage(png).setMimeType('image/png').setURI('valid.png');
+  // PNG signature followed by garbage: detected as PNG, fails to decode
+  const corrupt = document.createTexture('corrupt')
+    .setImage(Buffer.concat([png.subarray(0, 8), Buffer.alloc(64, 0xff)]))
+    .setMimeType('image/png')
+    .setURI('corrupt.png');
+  document.createMaterial('material').setBaseColorTexture(valid).setEmissiveTexture(corrupt);
+  return { document, valid, corrupt };
+}
+
+test('encodeTextures keeps a texture that fails to encode and declares the extensions of the others', async () => {
+  const { document, valid, corrupt } = await createDocument();
+  const originalImage = corrupt.getImage();
+
+  const { encoded, warnings } = await encodeTextures(document, resolveTexturePolicies('webp'));
+
+  assert.strictEqual(encoded, 1);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /corrupt.*kept as image\/png/);
+  assert.strictEqual(valid.getMimeType(), 'image/webp');
+  assert.strictEqual(corrupt.getMimeType(), 'image/png');
+  assert.strictEqual(corrupt.getURI(), 'corrupt.png');
+  assert.strictEqual(corrupt.getImage(), originalImage);
+
+  const webp = document.getRoot().listExtensionsUsed().find(extension => extension.extensionName === 'EXT_texture_webp');
+  assert.ok(webp, 'EXT_texture_webp is declared');
+  assert.strictEqual(webp.isRequired(), true);
+});
+
+test('resolveResizePolicies requires maximum sizes of at least one pixel', () => {
+  assert.throws(() => resolveResizePolicies({ maxTextureSize: 0 }), /^Error: maxTextureSize must be a positive whole number of pixels \(got 0\)$/);
+  assert.throws(() => resolveResizePolicies({ maxTextureSize: { default: 1024, normal: 0 } }), /maxTextureSize\.normal must be a positive whole number of pixels \(got 0\)/);
+  assert.throws(() => resolveResizePolicies({ maxTextureSize: 512.5 }), /maxTextureSize must be a positive whole number of pixels \(got 512\.5\)/);
+  assert.throws(() => resolveResizePolicies({ textureResizeOverrides: [{ match: 'hero*', maxSize: 0 }] }),
+    /textureResizeOverrides\[0\]\.maxSize must be a positive whole number of pixels/);
+  assert.throws(() => resolveResizePolicies({ minTextureSize: -1 }), /minTextureSize must be a whole number of pixels \(got -1\)/);
+
+  const policies = resolveResizePolicies({ maxTextureSize: 1, minTextureSize: 0, textureResizeOverrides: [{ match: 'hero*', minSize: 0 }] });
+  assert.deepStrictEqual(policies.default, { maxSize: 1, minSize: 0, powerOfTwo: false });
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBufferData, validateGltfJson, validateGltfFile } = require('../lib/validate');
+
+// A single triangle whose data is held in a data: URI buffer
+function createTriangle() {
+  const positions = Buffer.from(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]).buffer);
+  return {
+    asset: { version: '2.0' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+    accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] }],
+    bufferViews: [{ buffer: 0, byteLength: 36 }],
+    buffers: [{ byteLength: 36, uri: `data:application/octet-stream;base64,${positions.toString('base64')}` }]
+  };
+}
+
+function validate(gltf) {
+  return validateGltfJson(gltf, { bufferData: loadBufferData(null, gltf) });
+}
+
+function findIssue(issues, code) {
+  const issue = issues.find(candidate => candidate.code === code);
+  assert.ok(issue, `${code} in ${JSON.stringify(issues)}`);
+  return issue;
+}
+
+test('validateGltfJson accepts a well-formed model', () => {
+  assert.deepStrictEqual(validate(createTriangle()), []);
+});
+
+test('validateGltfJson points at out-of-range indices', () => {
+  const gltf = createTriangle();
+  gltf.scene = 1;
+  gltf.meshes[0].primitives[0].attributes.POSITION = 4;
+  gltf.meshes[0].primitives[0].attributes['_CUSTOM/UV~2'] = -1;
+
+  const issues = validate(gltf);
+  assert.deepStrictEqual(
+    issues.filter(issue => issue.code === 'INDEX_OUT_OF_RANGE').map(({ severity, pointer }) => ({ severity, pointer })),
+    [
+      { severity: 'error', pointer: '/scene' },
+      { severity: 'error', pointer: '/meshes/0/primitives/0/attributes/POSITION' },
+      { severity: 'error', pointer: '/meshes/0/primitives/0/attributes/_CUSTOM~1UV~02' }
+    ]
+  );
+});
+
+test('validateGltfJson reports broken node hierarchies', () => {
+  const gltf = createTriangle();
+  gltf.nodes.push({ children: [2] }, { children: [1] }, { children: [1] });
+
+  const issues = validate(gltf);
+  assert.strictEqual(findIssue(issues, 'NODE_MULTIPLE_PARENTS').pointer, '/nodes/3/children/0');
+  assert.strictEqual(findIssue(issues, 'NODE_CYCLE').severity, 'error');
+});
+
+test('validateGltfJson checks buffer views and accessors against their data', () => {
+  const gltf = createTriangle();
+  gltf.bufferViews[0].byteOffset = 8;
+  gltf.bufferViews[0].byteStride = 14;
+
+  const issues = validate(gltf);
+  assert.strictEqual(findIssue(issues, 'BUFFER_VIEW_OUT_OF_BOUNDS').pointer, '/bufferViews/0/byteLength');
+  assert.strictEqual(findIssue(issues, 'INVALID_BYTE_STRIDE').pointer, '/bufferViews/0/byteStride');
+  assert.strictEqual(findIssue(issues, 'ACCESSOR_OUT_OF_BOUNDS').pointer, '/accessors/0/count');
+});
+
+test('validateGltfJson reports a missing or invalid buffer view byteLength', () => {
+  for (const byteLength of [undefined, -4, 'abc']) {
+    const gltf = createTriangle();
+    gltf.bufferViews[0].byteLength = byteLength;
+    const issues = validate(gltf);
+    assert.deepStrictEqual(issues.map(issue => [issue.code, issue.pointer]), [['INVALID_BYTE_LENGTH', '/bufferViews/0/byteLength']], String(byteLength));
+  }
+});
+
+test('validateGltfJson compares POSITION bounds with the data', () => {
+  const gltf = createTriangle();
+  gltf.accessors[0].max = [2, 1, 0];
+  assert.deepStrictEqual(validate(gltf).map(({ severity, code, pointer }) => ({ severity, code, pointer })), [
+    { severity: 'warning', code: 'POSITION_BOUNDS_MISMATCH', pointer: '/accessors/0' }
+  ]);
+
+  delete gltf.accessors[0].min;
+  assert.strictEqual(findIssue(validate(gltf), 'POSITION_BOUNDS_MISSING').severity, 'error');
+});
+
+test('validateGltfJson grades extensions by support', () => {
+  const gltf = createTriangle();
+  gltf.extensionsUsed = ['EXT_unknown_used'];
+  gltf.extensionsRequired = ['EXT_unknown_required', 'KHR_materials_unlit'];
+
+  const issues = validate(gltf).map(({ severity, code, pointer }) => ({ severity, code, pointer }));
+  assert.deepStrictEqual(issues, [
+    { severity: 'error', code: 'UNSUPPORTED_EXTENSION', pointer: '/extensionsRequired/0' },
+    { severity: 'error', code: 'REQUIRED_EXTENSION_NOT_USED', pointer: '/extensionsRequired/0' },
+    { severity: 'error', code: 'REQUIRED_EXTENSION_NOT_USED', pointer: '/extensionsRequired/1' },
+    { severity: 'warning', code: 'UNKNOWN_EXTENSION', pointer: '/extensionsUsed/0' }
+  ]);
+});
+
+test('validateGltfJson reports buffers without data', () => {
+  const gltf = createTriangle();
+  gltf.buffers[0].uri = 'missing.bin';
+  const issues = validateGltfJson(gltf, { bufferData: [null] });
+  assert.strictEqual(findIssue(issues, 'MISSING_BUFFER').pointer, '/buffers/0');
+
+  gltf.buffers[0].byteLength = 64;
+  const short = validateGltfJson(gltf, { bufferData: [Buffer.alloc(36)] });
+  assert.strictEqual(findIssue(short, 'BUFFER_TOO_SHORT').pointer, '/buffers/0/byteLength');
+});
+
+test('validateGltfFile reports container-level problems as INVALID_FILE', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-validate-'));
+  try {
+    const gltf = createTriangle();
+    gltf.buffers[0].uri = 'missing%20data.bin';
+    fs.writeFileSync(path.join(dir, 'model.gltf'), JSON.stringify(gltf));
+    const missing = validateGltfFile(path.join(dir, 'model.gltf'));
+    assert.strictEqual(missing.valid, false);
+    assert.strictEqual(missing.errors, 1);
+    assert.match(findIssue(missing.issues, 'INVALID_FILE').message, /Missing binary file/);
+
+    fs.writeFileSync(path.join(dir, 'broken.gltf'), '{ "asset": ');
+    const broken = validateGltfFile(path.join(dir, 'broken.gltf'));
+    assert.strictEqual(broken.valid, false);
+    assert.strictEqual(findIssue(broken.issues, 'INVALID_FILE').pointer, '');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { Document, NodeIO } = require('@gltf-transform/core');
+const { ALL_EXTENSIONS } = require('@gltf-transform/extensions');
+const { verifyModel } = require('../lib/verify');
+const { optimizeModel } = require('../lib/optimize');
+
+// A textured quad: a single-color base color texture and a gradient emissive one
+async function createDocument() {
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const solid = await sharp({ create: { width: 4, height: 4, channels: 4, background: '#ff8000ff' } }).png().toBuffer();
+  const pixels = Buffer.from(Array.from({ length: 4 * 4 * 3 }, (value, index) => index * 5));
+  const gradient = await sharp(pixels, { raw: { width: 4, height: 4, channels: 3 } }).png().toBuffer();
+  const material = document.createMaterial('painted')
+    .setBaseColorTexture(document.createTexture('solid').setImage(solid).setMimeType('image/png').setURI('solid.png'))
+    .setEmissiveTexture(document.createTexture('gradient').setImage(gradient).setMimeType('image/png').setURI('gradient.png'))
+    .setEmissiveFactor([1, 1, 1]);
+  const accessor = (type, array) => document.createAccessor().setType(type).setArray(array).setBuffer(buffer);
+  const primitive = document.createPrimitive()
+    .setAttribute('POSITION', accessor('VEC3', new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0])))
+    .setAttribute('TEXCOORD_0', accessor('VEC2', new Float32Array([0, 0, 1, 0, 1, 1, 0, 1])))
+    .setIndices(accessor('SCALAR', new Uint16Array([0, 1, 2, 0, 2, 3])))
+    .setMaterial(material);
+  document.createScene().addChild(document.createNode('quad').setMesh(document.createMesh('quad').addPrimitive(primitive)));
+  return document;
+}
+
+const getCheck = (verification, name) => verification.checks.find(check => check.name === name);
+
+test('a default run passes verification when single-color textures become factors', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-verify-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inputPath = path.join(dir, 'quad.glb');
+  fs.writeFileSync(inputPath, await new NodeIO().writeBinary(await createDocument()));
+
+  const result = await optimizeModel(inputPath, { outputDir: path.join(dir, 'out'), compressDraco: false, verify: true, log: () => {} });
+  assert.strictEqual(result.status, 'success', result.error);
+  const output = await new NodeIO().registerExtensions(ALL_EXTENSIONS).read(result.outputPath);
+  const material = output.getRoot().listMaterials()[0];
+  assert.strictEqual(material.getBaseColorTexture(), null, 'the solid texture was folded into the factor');
+  assert.ok(material.getEmissiveTexture());
+
+  assert.strictEqual(getCheck(result.verification, 'materials').status, 'passed', getCheck(result.verification, 'materials').message);
+  assert.strictEqual(getCheck(result.verification, 'textures').status, 'passed', getCheck(result.verification, 'textures').message);
+  assert.strictEqual(result.verification.passed, true);
+});
+
+test('verifyModel still reports a lost texture that is not a single color', async () => {
+  const source = await createDocument();
+  const output = await createDocument();
+  output.getRoot().listMaterials()[0].setEmissiveTexture(null);
+
+  const verification = await verifyModel(source, output);
+  assert.strictEqual(verification.passed, false);
+  assert.strictEqual(getCheck(verification, 'materials').message, 'painted lost emissiveTexture');
+  assert.strictEqual(getCheck(verification, 'textures').message, 'gradient is no longer used as emissiveTexture');
+});
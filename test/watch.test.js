@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { watchModels } = require('../lib/watch');
+const { createLogger } = require('../lib/logger');
+const { createTriangleGlb } = require('./helpers/models');
+
+function waitFor(condition, timeoutMs = 20000) {
+  return new Promise((resolve, reject) => {
+    const start = Date.now();
+    const timer = setInterval(() => {
+      if (condition()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() - start > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error('Timed out'));
+      }
+    }, 50);
+  });
+}
+
+test('watchModels reports a failed run and keeps processing the queue', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-optimizer-watch-'));
+  const modelsDir = path.join(dir, 'models');
+  fs.mkdirSync(modelsDir);
+  // The manifest cannot be saved under a regular file: every run throws ENOTDIR
+  fs.writeFileSync(path.join(dir, 'not-a-dir'), '');
+
+  const entries = [];
+  const logger = createLogger({ level: 'debug', sink: entry => entries.push(entry) });
+  const errors = () => entries.filter(entry => entry.level === 'error' && /Could not optimize/.test(entry.message));
+  const watcher = watchModels(modelsDir, { outputDir: path.join(dir, 'out'), logger }, {
+    debounceMs: 50,
+    cacheFile: path.join(dir, 'not-a-dir', 'cache.json'),
+    logger,
+    log: () => {}
+  });
+
+  try {
+    fs.writeFileSync(path.join(modelsDir, 'a.glb'), await createTriangleGlb());
+    await waitFor(() => errors().length === 1);
+    fs.writeFileSync(path.join(modelsDir, 'b.glb'), await createTriangleGlb());
+    await waitFor(() => errors().length === 2);
+    assert.match(errors()[1].message, /b\.glb/);
+  } finally {
+    watcher.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { isZipData, readZip, writeZip } = require('../lib/zip');
+
+// Offset of the central directory, from the end of central directory record
+function getDirectoryOffset(zip) {
+  return zip.readUInt32LE(zip.length - 22 + 16);
+}
+
+test('readZip reads back what writeZip wrote', () => {
+  const files = new Map([
+    ['model.gltf', Buffer.from('{"asset":{"version":"2.0"}}')],
+    ['textures/albedo.png', crypto.randomBytes(300)],
+    ['empty.bin', Buffer.alloc(0)]
+  ]);
+  const zip = writeZip(files);
+  assert.ok(isZipData(zip));
+  const read = readZip(zip);
+  assert.deepStrictEqual([...read.keys()], [...files.keys()]);
+  files.forEach((data, name) => assert.ok(read.get(name).equals(data), name));
+});
+
+test('readZip rejects a truncated archive', () => {
+  const zip = writeZip([['a.bin', crypto.randomBytes(100)]]);
+  assert.throws(() => readZip(zip.subarray(0, zip.length - 10)), /end of central directory not found/);
+  assert.throws(() => readZip(zip.subarray(0, 10)), /end of central directory not found/);
+});
+
+test('readZip rejects a corrupt central directory', () => {
+  const zip = writeZip([['a.bin', crypto.randomBytes(100)]]);
+
+  const badSignature = Buffer.from(zip);
+  badSignature.writeUInt32LE(0, getDirectoryOffset(zip));
+  assert.throws(() => readZip(badSignature), /Corrupt ZIP central directory/);
+
+  const outOfRange = Buffer.from(zip);
+  outOfRange.writeUInt32LE(zip.length + 1000, zip.length - 22 + 16);
+  assert.throws(() => readZip(outOfRange), /Corrupt ZIP central directory/);
+
+  const badLocalOffset = Buffer.from(zip);
+  badLocalOffset.writeUInt32LE(zip.length + 1000, getDirectoryOffset(zip) + 42);
+  assert.throws(() => readZip(badLocalOffset), /Corrupt ZIP entry: a\.bin/);
+});
+
+test('readZip refuses a deflate bomb beyond maxBytes', () => {
+  // 16 MB of zeros deflate to a few KB
+  const zip = writeZip([['bomb.bin', Buffer.alloc(16 * 1024 * 1024)]]);
+  assert.ok(zip.length < 100 * 1024);
+  assert.throws(() => readZip(zip, { maxBytes: 1024 * 1024 }), /exceed the 1048576 byte limit/);
+
+  // Declaring a small size does not help: inflating stops past the declared size
+  const lying = Buffer.from(zip);
+  lying.writeUInt32LE(1000, getDirectoryOffset(zip) + 24);
+  assert.throws(() => readZip(lying, { maxBytes: 1024 * 1024 }), /Corrupt ZIP entry: bomb\.bin/);
+});
+
+test('readZip detects a CRC mismatch', () => {
+  const data = crypto.randomBytes(200); // Incompressible: stored as is
+  const zip = writeZip([['a.bin', data]]);
+  const corrupt = Buffer.from(zip);
+  const dataStart = 30 + 'a.bin'.length;
+  corrupt[dataStart + 10] ^= 0xff;
+  assert.throws(() => readZip(corrupt), /checksum mismatch/);
+});
+
+test('readZip rejects encrypted entries', () => {
+  const zip = Buffer.from(writeZip([['secret.bin', crypto.randomBytes(50)]]));
+  zip.writeUInt16LE(1, getDirectoryOffset(zip) + 8);
+  assert.throws(() => readZip(zip), /Encrypted ZIP entry: secret\.bin/);
+});